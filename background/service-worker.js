@@ -3,79 +3,191 @@
  *
  * Handles:
  * - Extension installation: initialize default storage
- * - Context menu creation: "Whitelist this channel" / "Block this channel"
- * - Context menu clicks: message content script for channel name, then update storage
+ * - Context menu creation: "Whitelist this channel" / "Block this channel",
+ *   "Hide this video" / "Always show this video", and "Block this commenter"
+ *   on watch pages
+ * - Context menu clicks: handed to the content script, which finds the
+ *   right-clicked channel or video, saves the change and confirms it in the page
+ * - Shared list subscriptions: download new ones, refresh all periodically
+ * - Storage writes: every context's RuFilterStorage mutations run here, one at a time
  */
 
+importScripts('/lib/channel-id.js', '/lib/subscriptions.js', '/lib/storage.js');
+
+const REFRESH_ALARM = 'rufilter-refresh-subscriptions';
+const REFRESH_PERIOD_MINUTES = 12 * 60;
+// Toolbar title while a context-menu action has failed (see reportSaveError)
+const SAVE_ERROR_PREFIX = "RuFilter couldn't save your change: ";
+// Everywhere a video, Short, channel name or the player can be right-clicked; where
+// there is nothing to act on, the content script says so in the page
+const MENU_CONTEXTS = ['page', 'link', 'image', 'video', 'selection'];
+
 // --- Installation ---
 
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
-    // Set defaults on fresh install
+    // Set defaults on fresh install. Lists and rules default to empty in
+    // RuFilterStorage.getMap; writing them here could clobber ones synced from another device.
     await chrome.storage.sync.set({
-      settings: { enabled: true },
-      whitelist: {},
-      blocklist: {},
+      settings: RuFilterStorage.DEFAULT_SETTINGS,
+      subscriptions: {},
     });
     await chrome.storage.local.set({
-      stats: { totalFiltered: 0 },
+      stats: RuFilterStorage.DEFAULT_STATS,
     });
   }
 
+  await ensureRefreshAlarm();
+
   // Create context menus (re-created on every install/update)
   chrome.contextMenus.removeAll(() => {
     chrome.contextMenus.create({
       id: 'rufilter-whitelist',
       title: 'RuFilter: Whitelist this channel',
-      contexts: ['link'],
+      contexts: MENU_CONTEXTS,
       documentUrlPatterns: ['*://*.youtube.com/*'],
     });
 
     chrome.contextMenus.create({
       id: 'rufilter-blocklist',
       title: 'RuFilter: Block this channel',
-      contexts: ['link'],
+      contexts: MENU_CONTEXTS,
+      documentUrlPatterns: ['*://*.youtube.com/*'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'rufilter-hide-video',
+      title: 'RuFilter: Hide this video',
+      contexts: MENU_CONTEXTS,
+      documentUrlPatterns: ['*://*.youtube.com/*'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'rufilter-allow-video',
+      title: 'RuFilter: Always show this video',
+      contexts: MENU_CONTEXTS,
       documentUrlPatterns: ['*://*.youtube.com/*'],
     });
+
+    // Only under a video, where comments are (the channel items resolve to the
+    // commenter on a comment too)
+    chrome.contextMenus.create({
+      id: 'rufilter-block-commenter',
+      title: 'RuFilter: Block this commenter',
+      contexts: MENU_CONTEXTS,
+      documentUrlPatterns: ['*://*.youtube.com/watch*'],
+    });
   });
 });
 
 // --- Context Menu Clicks ---
 
+// Content-script action for each menu item (see runContextAction in content/main.js)
+const CONTEXT_ACTIONS = {
+  'rufilter-whitelist': 'whitelist',
+  'rufilter-blocklist': 'blocklist',
+  'rufilter-block-commenter': 'block-commenter',
+  'rufilter-hide-video': 'hide-video',
+  'rufilter-allow-video': 'allow-video',
+};
+
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (!tab?.id) return;
-  if (info.menuItemId !== 'rufilter-whitelist' && info.menuItemId !== 'rufilter-blocklist') return;
+  const action = CONTEXT_ACTIONS[info.menuItemId];
+  if (!action) return;
 
   try {
-    // Ask content script for the channel name of the right-clicked video
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      type: 'GET_CHANNEL_FROM_CONTEXT',
-    });
+    // The content script knows what was right-clicked; it saves and confirms in the page
+    await chrome.tabs.sendMessage(tab.id, { type: 'CONTEXT_ACTION', action, linkUrl: info.linkUrl || '' });
+  } catch (err) {
+    // No content script in the tab, e.g. it was opened before the extension was installed or updated
+    console.error('[RuFilter] Context menu error:', err);
+    reportSaveError(new Error('reload the YouTube tab and try again.'));
+  }
+});
 
-    const channelName = response?.channelName;
-    if (!channelName) {
-      // Could not determine channel — show a notification or silently fail
-      console.warn('[RuFilter] Could not determine channel name from context menu click');
-      return;
-    }
+/**
+ * Flag a context-menu action the tab couldn't run (it has no content script to
+ * save and confirm it) on the toolbar icon; the popup shows the message and clears it.
+ */
+function reportSaveError(err) {
+  console.error('[RuFilter] Save failed:', err);
+  chrome.action.setBadgeBackgroundColor({ color: '#d93025' });
+  chrome.action.setBadgeText({ text: '!' });
+  chrome.action.setTitle({ title: `${SAVE_ERROR_PREFIX}${err.message}` });
+}
+
+// --- Shared list subscriptions ---
+
+/**
+ * Download subscribed lists and store the result. A list that fails keeps its
+ * last good entries; the error is shown in the popup.
+ * @param {string[]} [urls] - defaults to all subscriptions
+ */
+async function refreshSubscriptions(urls) {
+  const subscriptions = await RuFilterStorage.getSubscriptions();
+  const targets = (urls || Object.keys(subscriptions)).filter((url) => url in subscriptions);
+  const changes = {};
 
-    if (info.menuItemId === 'rufilter-whitelist') {
-      const { whitelist = {} } = await chrome.storage.sync.get({ whitelist: {} });
-      whitelist[channelName] = true;
-      // Remove from blocklist if present
-      const { blocklist = {} } = await chrome.storage.sync.get({ blocklist: {} });
-      delete blocklist[channelName];
-      await chrome.storage.sync.set({ whitelist, blocklist });
-    } else if (info.menuItemId === 'rufilter-blocklist') {
-      const { blocklist = {} } = await chrome.storage.sync.get({ blocklist: {} });
-      blocklist[channelName] = true;
-      // Remove from whitelist if present
-      const { whitelist = {} } = await chrome.storage.sync.get({ whitelist: {} });
-      delete whitelist[channelName];
-      await chrome.storage.sync.set({ whitelist, blocklist });
+  await Promise.all(targets.map(async (url) => {
+    const checkedAt = Date.now();
+    try {
+      const { title, entries, skipped } = await RuFilterSubscriptions.download(url);
+      changes[url] = {
+        title,
+        entries,
+        count: Object.keys(entries).length,
+        skipped,
+        updatedAt: checkedAt,
+        checkedAt,
+        error: null,
+      };
+      console.log('[RuFilter] Refreshed shared list', url, changes[url].count, 'channels');
+    } catch (err) {
+      changes[url] = { checkedAt, error: err.name === 'AbortError' ? 'Timed out' : err.message };
+      console.warn('[RuFilter] Could not refresh shared list', url, err);
     }
-  } catch (err) {
-    console.error('[RuFilter] Context menu error:', err);
+  }));
+
+  if (Object.keys(changes).length > 0) await RuFilterStorage.updateSubscriptionData(changes);
+}
+
+async function ensureRefreshAlarm() {
+  if (!(await chrome.alarms.get(REFRESH_ALARM))) {
+    await chrome.alarms.create(REFRESH_ALARM, { periodInMinutes: REFRESH_PERIOD_MINUTES });
   }
+}
+
+chrome.runtime.onStartup.addListener(ensureRefreshAlarm);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFRESH_ALARM) refreshSubscriptions();
+});
+
+// Download lists as soon as they are subscribed; forget unsubscribed ones
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.subscriptions) return;
+  const before = changes.subscriptions.oldValue || {};
+  const after = changes.subscriptions.newValue || {};
+
+  const removed = Object.keys(before).filter((url) => !(url in after));
+  if (removed.length > 0) {
+    RuFilterStorage.updateSubscriptionData(Object.fromEntries(removed.map((url) => [url, null])));
+  }
+  const added = Object.keys(after).filter((url) => !(url in before));
+  if (added.length > 0) refreshSubscriptions(added);
 });
 
+// --- Storage writes (see RuFilterStorage "Mutations") ---
+
+chrome.runtime.onMessage.addListener(RuFilterStorage.handleMessage);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'REFRESH_SUBSCRIPTIONS') {
+    refreshSubscriptions().then(
+      () => sendResponse({ ok: true }),
+      (err) => sendResponse({ ok: false, error: err.message }),
+    );
+    return true;
+  }
+});
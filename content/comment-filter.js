@@ -0,0 +1,114 @@
+/**
+ * Comment extraction for /watch pages.
+ *
+ * Finds comments (top-level and replies) that haven't been evaluated yet and
+ * reads their text and author. A blocked top-level comment takes its whole
+ * thread (replies included) with it; a blocked reply is hidden on its own.
+ *
+ * Comments use the same processed marker as video containers, so
+ * RuFilterActions.resetAllMarkers re-evaluates both.
+ */
+const RuFilterComments = (() => {
+  // Old (ytd-comment-renderer) and current (ytd-comment-view-model) layouts
+  const COMMENT_SELECTORS = 'ytd-comment-view-model, ytd-comment-renderer';
+  const THREAD_SELECTOR = 'ytd-comment-thread-renderer';
+  const REPLIES_SELECTOR = 'ytd-comment-replies-renderer, #replies';
+
+  const PROCESSED_ATTR = RuFilterExtractor.PROCESSED_ATTR;
+
+  /**
+   * Find comment elements not yet evaluated.
+   */
+  function findUnprocessedComments() {
+    const selector = COMMENT_SELECTORS.split(',')
+      .map((sel) => `${sel.trim()}:not([${PROCESSED_ATTR}])`)
+      .join(', ');
+    return Array.from(document.querySelectorAll(selector));
+  }
+
+  function isReply(element) {
+    return !!element.parentElement?.closest(REPLIES_SELECTOR);
+  }
+
+  /**
+   * Whether an element is a comment or comment thread (e.g. a hidden container).
+   */
+  function isComment(element) {
+    return element.matches(`${THREAD_SELECTOR}, ${COMMENT_SELECTORS}`);
+  }
+
+  /**
+   * The element to hide for a comment: the whole thread for a top-level comment,
+   * the comment itself for a reply.
+   */
+  function hideTarget(element) {
+    if (isReply(element)) return element;
+    return element.closest(THREAD_SELECTOR) || element;
+  }
+
+  /**
+   * Read-only author extraction. For a thread this is the top-level comment's author.
+   * @returns {{ id: string, name: string }}
+   */
+  function extractAuthor(element) {
+    const link = element.querySelector('a#author-text[href], #header-author a[href], a[href^="/@"], a[href^="/channel/"]');
+    const nameEl = element.querySelector('#author-text');
+    const name = (nameEl || link)?.textContent.replace(/\s+/g, ' ').trim() || '';
+    return {
+      id: link ? RuFilterChannel.parse(link.getAttribute('href')) : '',
+      name: RuFilterChannel.cleanName(name),
+    };
+  }
+
+  /**
+   * Extract a comment's text and author and mark it as processed.
+   * Returns null (without marking) while YouTube is still rendering the text.
+   *
+   * @returns {{
+   *   element: Element,
+   *   target: Element,
+   *   reply: boolean,
+   *   text: string,
+   *   authorName: string,
+   *   authorId: string,
+   * } | null} target is the element to hide (see hideTarget)
+   */
+  function extractComment(element) {
+    const textEl = element.querySelector('#content-text');
+    const text = textEl ? textEl.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (!text) return null;
+
+    element.setAttribute(PROCESSED_ATTR, 'true');
+    const { id, name } = extractAuthor(element);
+    return {
+      element,
+      target: hideTarget(element),
+      reply: isReply(element),
+      text,
+      authorName: name,
+      authorId: id,
+    };
+  }
+
+  /**
+   * Show hidden comments and forget all evaluations, so comments get re-checked
+   * (e.g., after a list change).
+   */
+  function resetMarkers() {
+    for (const el of document.querySelectorAll(`[${RuFilterActions.HIDDEN_ATTR}]`)) {
+      if (isComment(el)) RuFilterActions.showVideo(el);
+    }
+    for (const el of document.querySelectorAll(`[${PROCESSED_ATTR}]`)) {
+      if (el.matches(COMMENT_SELECTORS)) el.removeAttribute(PROCESSED_ATTR);
+    }
+  }
+
+  return {
+    COMMENT_SELECTORS,
+    findUnprocessedComments,
+    isComment,
+    extractAuthor,
+    extractComment,
+    resetMarkers,
+  };
+})();
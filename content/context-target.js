@@ -0,0 +1,160 @@
+/**
+ * What a context-menu click was on: the channel or video of the right-clicked
+ * element.
+ *
+ * The element comes from the last contextmenu event, and the link URL (if any)
+ * from Chrome's click info, so the answer doesn't depend on where the pointer
+ * went before. In order:
+ * - a channel link ("/@handle", "/channel/UC…") or video link ("/watch?v=…",
+ *   "/shorts/…") that was right-clicked
+ * - the video tile, comment or Shorts player around the element
+ * - the page itself: the watch page's video and channel, the Short on screen,
+ *   or the channel whose page it is
+ */
+const RuFilterContextTarget = (() => {
+  const REEL_SELECTOR = 'ytd-reel-video-renderer';
+  const CHANNEL_LINK = 'a[href^="/@"], a[href^="/channel/"]';
+  const CHANNEL_PAGE_NAME = [
+    'yt-page-header-renderer h1',
+    '#channel-header ytd-channel-name #text',
+    '#page-header h1',
+  ];
+
+  let lastTarget = null;
+
+  // Capture phase: YouTube stops some contextmenu events (e.g. on the player)
+  document.addEventListener('contextmenu', (e) => {
+    lastTarget = e.target;
+  }, true);
+
+  function textOf(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * The right-clicked element, if it is still on the page.
+   */
+  function target() {
+    const element = lastTarget?.nodeType === Node.ELEMENT_NODE ? lastTarget : lastTarget?.parentElement;
+    return element?.isConnected ? element : null;
+  }
+
+  /**
+   * Video ID from a watch, Shorts or youtu.be URL.
+   * @returns {string} "" for any other URL
+   */
+  function videoIdOf(url) {
+    if (!url) return '';
+    try {
+      const parsed = new URL(url, location.origin);
+      if (parsed.hostname === 'youtu.be') return parsed.pathname.split('/')[1] || '';
+      if (!/(^|\.)youtube\.com$/i.test(parsed.hostname)) return '';
+      if (parsed.pathname.startsWith('/shorts/')) return parsed.pathname.split('/')[2] || '';
+      if (parsed.pathname === '/watch') return parsed.searchParams.get('v') || '';
+    } catch {
+      // Not a URL
+    }
+    return '';
+  }
+
+  /**
+   * The Shorts player around an element, or the one on screen on a /shorts/ page.
+   */
+  function reelOf(element) {
+    const reel = element?.closest(REEL_SELECTOR);
+    if (reel || !location.pathname.startsWith('/shorts/')) return reel || null;
+    return document.querySelector(`${REEL_SELECTOR}[is-active]`);
+  }
+
+  function reelChannel(reel) {
+    const link = reel.querySelector(CHANNEL_LINK);
+    if (!link) return null;
+    return { id: RuFilterChannel.parse(link.getAttribute('href')), name: RuFilterChannel.cleanName(textOf(link)) };
+  }
+
+  /**
+   * Channel of whatever an element belongs to (tile, comment, Shorts player, page).
+   * @returns {{ id: string, name: string } | null}
+   */
+  function channelOfElement(element) {
+    const tile = element && RuFilterExtractor.containerOf(element);
+    if (tile) return RuFilterExtractor.extractChannel(tile);
+    const comment = element?.closest(RuFilterComments.COMMENT_SELECTORS);
+    if (comment) return RuFilterComments.extractAuthor(comment);
+    const reel = reelOf(element);
+    if (reel) return reelChannel(reel);
+    if (location.pathname === '/watch') return RuFilterWatchGuard.readChannel();
+
+    const pageChannel = RuFilterChannel.parse(location.pathname);
+    if (pageChannel) {
+      const heading = CHANNEL_PAGE_NAME.map((sel) => textOf(document.querySelector(sel))).find(Boolean);
+      return { id: pageChannel, name: RuFilterChannel.cleanName(heading) };
+    }
+    return null;
+  }
+
+  /**
+   * Channel the user right-clicked.
+   * @param {string} [linkUrl] - the link Chrome reports for the click
+   * @returns {{ id: string, name: string } | null} null when no channel is known
+   */
+  function channelAt(linkUrl) {
+    const element = target();
+    const around = channelOfElement(element);
+    const linked = RuFilterChannel.parse(linkUrl || '');
+    if (linked) {
+      // The name comes from the tile or comment when it is the same channel, else the link
+      const sameChannel = around && (!around.id || around.id === linked);
+      const name = sameChannel ? around.name : textOf(element?.closest('a'));
+      return { id: linked, name: RuFilterChannel.cleanName(name) };
+    }
+    return around?.id || around?.name ? around : null;
+  }
+
+  /**
+   * Author of the right-clicked comment.
+   * @returns {{ id: string, name: string } | null}
+   */
+  function commenterAt() {
+    const comment = target()?.closest(RuFilterComments.COMMENT_SELECTORS);
+    if (!comment) return null;
+    const author = RuFilterComments.extractAuthor(comment);
+    return author.id || author.name ? author : null;
+  }
+
+  /**
+   * Video the user right-clicked: a video link or tile, else the video playing
+   * on the page.
+   * @param {string} [linkUrl]
+   * @returns {{ videoId: string, title: string } | null}
+   */
+  function videoAt(linkUrl) {
+    const element = target();
+    const linked = videoIdOf(linkUrl);
+    const tile = element && RuFilterExtractor.containerOf(element);
+    if (tile) {
+      const contained = RuFilterExtractor.extractVideoId(tile);
+      const videoId = RuFilterDetector.ownVideoId({ kind: RuFilterExtractor.extractKind(tile), videoId: contained });
+      if (videoId && (!linked || linked === videoId)) {
+        return { videoId, title: RuFilterExtractor.extractTitle(tile) };
+      }
+      // Playlists, mixes and posts link to a video inside them, not to what was clicked
+      if (contained && !videoId) return null;
+    }
+    if (linked) return { videoId: linked, title: textOf(element?.closest('a')) };
+
+    const playing = videoIdOf(location.href);
+    if (!playing) return null;
+    const reel = reelOf(element);
+    const title = location.pathname === '/watch'
+      ? RuFilterWatchGuard.readTitle()
+      : textOf(reel?.querySelector('h2, .title'));
+    return { videoId: playing, title };
+  }
+
+  return {
+    channelAt,
+    commenterAt,
+    videoAt,
+  };
+})();
@@ -0,0 +1,119 @@
+/**
+ * Work queue for video tiles whose decision has to wait for CLD
+ * (chrome.i18n.detectLanguage), ordered by distance to the viewport.
+ *
+ * Where a tile is comes from an IntersectionObserver: on screen first, then
+ * within a screen of it, then tiles not measured yet, then the rest. At most
+ * MAX_CONCURRENT decisions run at a time and the next one is picked whenever a
+ * slot frees up, so a tile the user scrolls to overtakes those still waiting
+ * far below the fold. Ties keep the order the tiles were queued in.
+ *
+ * Tiles are tracked from the moment RuFilterObserver queues them, so their
+ * position is usually known by the time they are sorted.
+ */
+const RuFilterQueue = (() => {
+  const MAX_CONCURRENT = 4;
+  // How far beyond the viewport (above and below) counts as near
+  const NEAR_MARGIN = '100% 0px';
+
+  const RANK_VISIBLE = 0;
+  const RANK_NEAR = 1;
+  const RANK_UNKNOWN = 2;
+  const RANK_FAR = 3;
+
+  // element → rank, as last reported
+  const ranks = new WeakMap();
+  // { element, task, resolve, reject } in the order queued
+  let waiting = [];
+  let running = 0;
+
+  const observer = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      const rect = entry.boundingClientRect;
+      const onScreen = rect.bottom > 0 && rect.top < window.innerHeight;
+      let rank = RANK_FAR;
+      if (entry.isIntersecting) rank = onScreen ? RANK_VISIBLE : RANK_NEAR;
+      ranks.set(entry.target, rank);
+    }
+  }, { rootMargin: NEAR_MARGIN });
+
+  function rankOf(element) {
+    return ranks.get(element) ?? RANK_UNKNOWN;
+  }
+
+  /**
+   * Start following where an element is relative to the viewport.
+   */
+  function track(element) {
+    observer.observe(element);
+  }
+
+  /**
+   * Stop following an element (once it is decided).
+   */
+  function untrack(element) {
+    observer.unobserve(element);
+    ranks.delete(element);
+  }
+
+  /**
+   * Elements nearest to the viewport first; equally near ones keep their order.
+   * @param {Element[]} elements
+   * @returns {Element[]}
+   */
+  function sortByProximity(elements) {
+    return [...elements].sort((a, b) => rankOf(a) - rankOf(b));
+  }
+
+  function pump() {
+    while (running < MAX_CONCURRENT && waiting.length > 0) {
+      let next = 0;
+      for (let i = 1; i < waiting.length; i++) {
+        if (rankOf(waiting[i].element) < rankOf(waiting[next].element)) next = i;
+      }
+      const [job] = waiting.splice(next, 1);
+      running++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          untrack(job.element);
+          pump();
+        });
+    }
+  }
+
+  /**
+   * Run a tile's decision when a slot is free, nearest tiles first.
+   * @param {Element} element - the tile the task decides
+   * @param {() => Promise<*>} task
+   * @returns {Promise<*>} the task's result, or null if the queue was cleared first
+   */
+  function run(element, task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ element, task, resolve, reject });
+      pump();
+    });
+  }
+
+  /**
+   * Drop the tasks that haven't started (e.g., everything is being re-evaluated).
+   */
+  function clear() {
+    const dropped = waiting;
+    waiting = [];
+    for (const job of dropped) {
+      untrack(job.element);
+      job.resolve(null);
+    }
+  }
+
+  return {
+    track,
+    untrack,
+    sortByProximity,
+    run,
+    clear,
+  };
+})();
@@ -1,12 +1,31 @@
 /**
  * DOM manipulation for hiding/showing video elements.
  *
+ * Three hide modes:
+ * - remove:      the tile disappears (display: none)
+ * - blur:        the tile stays, dimmed, with a blurred thumbnail
+ * - placeholder: the tile's content is replaced by a compact card saying why it was
+ *                hidden, with "Show this once" and "Always allow this channel" buttons
+ *
  * Uses both an injected CSS rule (!important) and inline styles to hide videos.
- * The CSS rule ensures hiding persists even if YouTube's framework overwrites
- * inline styles during re-renders.
+ * The CSS rules are keyed on our data attribute, so hiding persists even if
+ * YouTube's framework overwrites inline styles during re-renders.
+ *
+ * Placeholder buttons don't act themselves: they dispatch a bubbling
+ * "ru-filter-action" CustomEvent ({ action: "show-once" | "allow-channel" })
+ * on the hidden container for the content script to handle.
  */
 const RuFilterActions = (() => {
   const HIDDEN_ATTR = 'data-ru-filter-hidden';
+  // Why the video was hidden (rule and detection tier), for debugging and the UI
+  const REASON_ATTR = 'data-ru-filter-reason';
+  // Human-readable label shown on the placeholder card
+  const LABEL_ATTR = 'data-ru-filter-label';
+  const PLACEHOLDER_CLASS = 'ru-filter-placeholder';
+  const ACTION_EVENT = 'ru-filter-action';
+
+  const HIDE_MODES = ['remove', 'blur', 'placeholder'];
+
   let styleInjected = false;
 
   /**
@@ -17,18 +36,97 @@ const RuFilterActions = (() => {
   function ensureStyleInjected() {
     if (styleInjected) return;
     const style = document.createElement('style');
-    style.textContent = `[${HIDDEN_ATTR}="true"] { display: none !important; }`;
+    style.textContent = `
+      [${HIDDEN_ATTR}="remove"] { display: none !important; }
+
+      [${HIDDEN_ATTR}="blur"] { opacity: 0.45; transition: opacity 0.2s; }
+      [${HIDDEN_ATTR}="blur"]:hover { opacity: 0.8; }
+      [${HIDDEN_ATTR}="blur"] :is(ytd-thumbnail, yt-thumbnail-view-model, ytd-playlist-thumbnail, img) {
+        filter: blur(14px) grayscale(0.6) !important;
+      }
+
+      [${HIDDEN_ATTR}="placeholder"] > :not(.${PLACEHOLDER_CLASS}) { display: none !important; }
+      .${PLACEHOLDER_CLASS} {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin: 4px;
+        padding: 10px 12px;
+        border: 1px dashed var(--yt-spec-10-percent-layer, #ccc);
+        border-radius: 12px;
+        font: 12px/1.4 Roboto, Arial, sans-serif;
+        color: var(--yt-spec-text-secondary, #606060);
+      }
+      .${PLACEHOLDER_CLASS} .ru-filter-placeholder-actions { display: flex; gap: 6px; flex-wrap: wrap; }
+      .${PLACEHOLDER_CLASS} button {
+        padding: 4px 10px;
+        border: none;
+        border-radius: 14px;
+        background: var(--yt-spec-badge-chip-background, #f2f2f2);
+        color: var(--yt-spec-text-primary, #0f0f0f);
+        font: inherit;
+        cursor: pointer;
+      }
+      .${PLACEHOLDER_CLASS} button:hover { background: var(--yt-spec-10-percent-layer, #e5e5e5); }
+    `;
     (document.head || document.documentElement).appendChild(style);
     styleInjected = true;
   }
 
+  /**
+   * Build the placeholder card for a hidden container.
+   */
+  function createPlaceholder(element, label) {
+    const card = document.createElement('div');
+    card.className = PLACEHOLDER_CLASS;
+
+    const text = document.createElement('span');
+    text.textContent = 'Hidden by RuFilter' + (label ? ': ' + label : '');
+    card.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'ru-filter-placeholder-actions';
+    for (const [action, caption] of [['show-once', 'Show this once'], ['allow-channel', 'Always allow this channel']]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = caption;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        element.dispatchEvent(new CustomEvent(ACTION_EVENT, { bubbles: true, detail: { action } }));
+      });
+      actions.appendChild(btn);
+    }
+    card.appendChild(actions);
+    return card;
+  }
+
+  function removePlaceholder(element) {
+    for (const card of element.querySelectorAll(`:scope > .${PLACEHOLDER_CLASS}`)) {
+      card.remove();
+    }
+  }
+
   /**
    * Hide a video container element from the DOM.
+   * @param {Element} element
+   * @param {{ mode?: "remove"|"blur"|"placeholder", reason?: string, label?: string }} [options]
+   *   reason is recorded on the element as data-ru-filter-reason; label is shown on
+   *   the placeholder card
    */
-  function hideVideo(element) {
+  function hideVideo(element, { mode = 'remove', reason = '', label = '' } = {}) {
     ensureStyleInjected();
-    element.style.display = 'none';
-    element.setAttribute(HIDDEN_ATTR, 'true');
+    if (!HIDE_MODES.includes(mode)) mode = 'remove';
+
+    removePlaceholder(element);
+    element.style.display = mode === 'remove' ? 'none' : '';
+    element.setAttribute(HIDDEN_ATTR, mode);
+    if (reason) element.setAttribute(REASON_ATTR, reason);
+    if (label) element.setAttribute(LABEL_ATTR, label);
+
+    if (mode === 'placeholder') {
+      element.prepend(createPlaceholder(element, label));
+    }
   }
 
   /**
@@ -37,13 +135,29 @@ const RuFilterActions = (() => {
   function showVideo(element) {
     element.style.display = '';
     element.removeAttribute(HIDDEN_ATTR);
+    element.removeAttribute(REASON_ATTR);
+    element.removeAttribute(LABEL_ATTR);
+    removePlaceholder(element);
+  }
+
+  /**
+   * Re-insert placeholder cards that YouTube removed while re-rendering a tile.
+   * The CSS rule keeps the tile's own content hidden regardless.
+   */
+  function restorePlaceholders() {
+    const hidden = document.querySelectorAll(`[${HIDDEN_ATTR}="placeholder"]`);
+    for (const el of hidden) {
+      if (!el.querySelector(`:scope > .${PLACEHOLDER_CLASS}`)) {
+        el.prepend(createPlaceholder(el, el.getAttribute(LABEL_ATTR) || ''));
+      }
+    }
   }
 
   /**
    * Restore all hidden videos (e.g., when extension is disabled or channel whitelisted).
    */
   function showAllHidden() {
-    const hidden = document.querySelectorAll(`[${HIDDEN_ATTR}="true"]`);
+    const hidden = document.querySelectorAll(`[${HIDDEN_ATTR}]`);
     for (const el of hidden) {
       showVideo(el);
     }
@@ -62,9 +176,13 @@ const RuFilterActions = (() => {
 
   return {
     HIDDEN_ATTR,
+    REASON_ATTR,
+    ACTION_EVENT,
+    HIDE_MODES,
     hideVideo,
     showVideo,
     showAllHidden,
+    restorePlaceholders,
     resetAllMarkers,
   };
 })();
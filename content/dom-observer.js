@@ -1,18 +1,36 @@
 /**
  * MutationObserver and SPA navigation listener for YouTube.
  *
- * - Observes DOM mutations (debounced at 300ms) for new video elements
- * - Listens for yt-navigate-finish for SPA page transitions
+ * Incremental: instead of rescanning the page, the observer queues the video
+ * tiles that mutations add (or fill in), and the caller takes them with
+ * takePending(). A full scan of the page happens only through queueAll — on
+ * start, after a navigation and when everything is re-evaluated.
+ *
+ * - Observes child-list mutations (debounced at 300ms) in the active page
+ *   container (ytd-page-manager's visible page), re-scoped after every
+ *   yt-navigate-finish; the whole body until YouTube's app has rendered
+ * - A tile whose title isn't rendered yet gets its own observer for text and
+ *   title/aria-label changes (watchUntilFilled), queued again once it changes
+ * - Mutations touching watchSelectors (comments, player-queue items, placeholder
+ *   cards) call back without queueing tiles, so those scans still run
  * - Uses requestIdleCallback when available for non-urgent processing
  */
 const RuFilterObserver = (() => {
   let observer = null;
+  let root = null;
   let debounceTimer = null;
   let onNewVideosCallback = null;
   let navHandler = null;
+  let watchSelectors = '';
+
+  // Tiles queued since the last takePending()
+  let pending = new Set();
+  // Tile → its observer, for tiles waiting for their title (watchUntilFilled)
+  const tileObservers = new Map();
 
   const DEBOUNCE_MS = 300;
   const NAV_SETTLE_MS = 500;
+  const PAGE_SELECTOR = 'ytd-page-manager > :not([hidden])';
 
   /**
    * Schedule processing via requestIdleCallback or setTimeout fallback.
@@ -26,9 +44,9 @@ const RuFilterObserver = (() => {
   }
 
   /**
-   * Debounced handler for DOM mutations.
+   * Call back (debounced) to process whatever was queued.
    */
-  function handleMutations() {
+  function notify() {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
       scheduleProcessing(() => {
@@ -37,25 +55,155 @@ const RuFilterObserver = (() => {
     }, DEBOUNCE_MS);
   }
 
+  function queue(container) {
+    if (!container || container.hasAttribute(RuFilterExtractor.PROCESSED_ATTR)) return false;
+    pending.add(container);
+    // Measured while the debounce runs, so the batch can be sorted by position
+    RuFilterQueue.track(container);
+    return true;
+  }
+
+  /**
+   * Queue the tiles an added node is part of or contains.
+   * @returns {boolean} whether anything was queued
+   */
+  function queueAdded(node) {
+    const container = RuFilterExtractor.containerOf(node);
+    // Inside a tile: nested renderers belong to that tile
+    if (container) return queue(container);
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+    let queued = false;
+    for (const el of node.querySelectorAll(RuFilterExtractor.VIDEO_SELECTORS)) {
+      queued = queue(RuFilterExtractor.containerOf(el)) || queued;
+    }
+    return queued;
+  }
+
+  function touchesWatched(record) {
+    if (!watchSelectors) return false;
+    if (record.target.closest?.(watchSelectors)) return true;
+    for (const node of record.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (node.matches(watchSelectors) || node.querySelector(watchSelectors)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Handler for DOM mutations: queue added tiles, call back if there is work.
+   */
+  function handleMutations(records) {
+    let changed = false;
+    for (const record of records) {
+      for (const node of record.addedNodes) {
+        changed = queueAdded(node) || changed;
+      }
+      changed = changed || touchesWatched(record);
+    }
+    if (changed) notify();
+  }
+
+  /**
+   * The element to observe: the visible page, or the body until it exists.
+   */
+  function activeRoot() {
+    return document.querySelector(PAGE_SELECTOR) || document.body;
+  }
+
+  /**
+   * (Re)attach the observer to the active page container.
+   * @returns {boolean} whether the container changed
+   */
+  function rescope() {
+    const next = activeRoot();
+    if (!next || next === root) return false;
+    observer?.disconnect();
+    observer = new MutationObserver(handleMutations);
+    observer.observe(next, { childList: true, subtree: true });
+    root = next;
+
+    // Tiles left behind on the previous page will never fill in
+    for (const [container, tileObserver] of tileObservers) {
+      if (container.isConnected) continue;
+      tileObserver.disconnect();
+      tileObservers.delete(container);
+    }
+    return true;
+  }
+
+  /**
+   * Queue every unprocessed tile in the active page (a full scan).
+   */
+  function queueAll() {
+    for (const container of RuFilterExtractor.findUnprocessedVideos(root || document)) {
+      queue(container);
+    }
+  }
+
+  /**
+   * Tiles queued since the last call that still need processing, nearest to
+   * the viewport first (RuFilterQueue.sortByProximity).
+   * @returns {Element[]}
+   */
+  function takePending() {
+    const taken = [];
+    for (const container of pending) {
+      if (container.isConnected && !container.hasAttribute(RuFilterExtractor.PROCESSED_ATTR)) {
+        taken.push(container);
+      } else {
+        RuFilterQueue.untrack(container);
+      }
+    }
+    pending = new Set();
+    return RuFilterQueue.sortByProximity(taken);
+  }
+
+  function hasPending() {
+    return pending.size > 0;
+  }
+
+  /**
+   * Queue a tile again as soon as its content changes — for tiles whose title
+   * YouTube hasn't filled in yet (text, or a title/aria-label attribute).
+   */
+  function watchUntilFilled(container) {
+    if (!observer || tileObservers.has(container)) return;
+    const tileObserver = new MutationObserver(() => {
+      tileObserver.disconnect();
+      tileObservers.delete(container);
+      if (queue(container)) notify();
+    });
+    tileObserver.observe(container, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['title', 'aria-label'],
+    });
+    tileObservers.set(container, tileObserver);
+  }
+
   /**
    * Start observing the DOM for new video elements.
-   * @param {Function} callback - Called when new unprocessed videos may be present
+   * @param {Function} callback - Called when queued tiles (takePending) or watched
+   *   elements may need processing
+   * @param {{ watchSelectors?: string }} [options] - elements whose changes call back
+   *   without queueing tiles
    */
-  function start(callback) {
+  function start(callback, options = {}) {
     onNewVideosCallback = callback;
+    watchSelectors = options.watchSelectors || '';
 
-    // MutationObserver on document.body
-    if (!observer && document.body) {
-      observer = new MutationObserver(handleMutations);
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
-    }
+    rescope();
+    queueAll();
 
     // YouTube SPA navigation event — store reference for cleanup
     if (!navHandler) {
       navHandler = () => {
+        rescope();
+        // The new page rendered before it became the observed one
+        queueAll();
         setTimeout(() => {
           scheduleProcessing(() => {
             if (onNewVideosCallback) onNewVideosCallback();
@@ -73,7 +221,12 @@ const RuFilterObserver = (() => {
     if (observer) {
       observer.disconnect();
       observer = null;
+      root = null;
     }
+    for (const tileObserver of tileObservers.values()) tileObserver.disconnect();
+    tileObservers.clear();
+    for (const container of pending) RuFilterQueue.untrack(container);
+    pending = new Set();
     if (navHandler) {
       document.removeEventListener('yt-navigate-finish', navHandler);
       navHandler = null;
@@ -84,5 +237,9 @@ const RuFilterObserver = (() => {
   return {
     start,
     stop,
+    queueAll,
+    takePending,
+    hasPending,
+    watchUntilFilled,
   };
 })();
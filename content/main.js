@@ -2,91 +2,427 @@
  * Main orchestrator for the YouTube Russian-language filter.
  *
  * Initialization sequence:
- * 1. Load settings, whitelist, blocklist
+ * 1. Load settings, whitelist, blocklist, per-video overrides, keyword rules,
+ *    shared lists
  * 2. Always register storage/message listeners (so re-enabling works without reload)
  * 3. Start DOM observer if enabled
  * 4. Run initial page scan if enabled
  *
  * Filtering pipeline (per video):
  * 1. Extract metadata
- * 2. Check whitelist/blocklist
- * 3. Run language detection
- * 4. Apply combined decision
- * 5. Hide if blocked
+ * 2. Look up the surface policy (filter, blocklist only, off — per surface)
+ * 3. Check whitelist/blocklist (by channel ID, migrating legacy name entries),
+ *    then keyword rules, then subscribed shared lists
+ * 4. Run language detection (only under the "filter" policy): the synchronous
+ *    tiers right away; tiles that need CLD are decided in the background,
+ *    nearest to the viewport first (RuFilterQueue), each hidden when ready
+ * 5. Apply combined decision
+ * 6. Hide if blocked (remove, blur or placeholder — per-surface hide mode)
+ *
+ * On /watch pages the main video goes through the same decision; a blocked one
+ * is paused behind an interstitial (RuFilterWatchGuard), or skipped when it is
+ * part of a playlist. Playlist entries, end-screen tiles and the autoplay
+ * "Up next" card are filtered by RuFilterPlayback. With comment filtering on,
+ * comments under the video are checked too (RuFilterComments).
  */
 (() => {
-  let settings = { enabled: true };
+  let settings = RuFilterStorage.DEFAULT_SETTINGS;
   let whitelist = {};
   let blocklist = {};
+  let videoOverrides = {};
+  let rules = {};
+  // Combined lists from subscriptions (RuFilterSubscriptions.combine)
+  let shared = { whitelist: {}, blocklist: {} };
   let isProcessing = false;
   let processedElements = new WeakSet();
+  // Legacy list keys already queued for migration this session (avoids duplicate writes)
+  const pendingMigrations = new Set();
+  // Videos the user chose to "Show this once" from a placeholder card or "Play anyway"
+  // from the watch-page interstitial (this page session only).
+  // Keyed by video ID; tiles without one are remembered by element.
+  const revealedVideoIds = new Set();
+  const revealedElements = new WeakSet();
+  // Incremented per watch-page check so results for a page we already left are dropped
+  let watchCheckToken = 0;
+  // Playlist entries skipped in a row; stops runaway skipping through a fully blocked playlist
+  let consecutiveSkips = 0;
+  const MAX_CONSECUTIVE_SKIPS = 20;
+  // Activity-log entries for videos hidden since the last flushHidden()
+  let hiddenBatch = [];
+  // The same for comments, which have their own counter
+  let hiddenComments = [];
+  // Comment text kept in the activity log
+  const COMMENT_LOG_LENGTH = 200;
+  // surface → videos decided since the last flushHidden(), for the daily stats
+  let scannedBatch = {};
+  // Watch-page video last counted as scanned (checkWatchPage runs again on every change)
+  let scannedWatchVideoId = '';
+  // Incremented when lists or settings change, so background decisions made
+  // with the old ones are dropped (see detectInBackground)
+  let decisionGeneration = 0;
+  // Besides new video tiles, changes to these make the observer call processVideos:
+  // comments, player-queue items, and placeholder cards YouTube may re-render away
+  const WATCHED_SELECTORS = [
+    RuFilterComments.COMMENT_SELECTORS,
+    RuFilterPlayback.SELECTORS,
+    `[${RuFilterActions.HIDDEN_ATTR}="placeholder"]`,
+  ].join(',');
+
+  // Longest video title quoted in a toast
+  const TOAST_TITLE_LENGTH = 60;
+
+  /**
+   * Whether search results should only get the blocklist because the query is
+   * in Russian (see RuFilterDetector.isRussianQuery). Only with russianQueryBypass on.
+   */
+  async function isRussianQueryBypass() {
+    if (!settings.russianQueryBypass || location.pathname !== '/results') return false;
+    const params = new URLSearchParams(location.search);
+    return RuFilterDetector.isRussianQuery(params.get('search_query') || '', settings);
+  }
+
+  /**
+   * Filtering policy for a video on a surface: "filter", "blocklist" or "off"
+   * (settings.surfacePolicies). A bypassed Russian search query turns "filter"
+   * into "blocklist" for everything on the results page.
+   */
+  function policyFor(surface, russianQuery = false) {
+    const policy = settings.surfacePolicies[surface] || 'filter';
+    return policy === 'filter' && russianQuery ? 'blocklist' : policy;
+  }
+
+  /**
+   * Short human-readable reason for a shouldFilter result, e.g.
+   * "filtered-language ru (ngram) score 0.97/0.6" or
+   * "filtered-language ru (translit: transliterated Russian: kak, eto) score 0.80/0.6".
+   */
+  function describeReason(result) {
+    let text = result.reason;
+    if (result.language) {
+      const tier = result.detail ? `${result.tier}: ${result.detail}` : result.tier;
+      text += ` ${result.language} (${tier})`;
+    } else if (result.detail) {
+      text += `: ${result.detail}`;
+    }
+    if (result.score !== undefined) {
+      text += ` score ${result.score.toFixed(2)}/${result.threshold}`;
+    }
+    return text;
+  }
+
+  /**
+   * Short label for the placeholder card, e.g. "Russian title" or "blocked channel".
+   */
+  function reasonLabel(result) {
+    if (result.reason === 'video-hidden') return 'hidden by you';
+    if (result.reason === 'blocklist') return 'blocked channel';
+    if (result.reason === 'block-rule') return 'matched rule';
+    if (result.reason === 'shared-blocklist') return 'shared blocklist';
+    if (!result.language) return 'filtered';
+    let label = RuFilterLanguages.nameOf(result.language) + ' ' + (result.signal || 'title');
+    if (result.tier === 'translit') label += ' (transliterated)';
+    return label;
+  }
 
-  // Track the last video element the user hovered over, for context menu detection.
-  // Using :hover is unreliable because browsers clear hover state when the context menu opens.
-  let lastHoveredVideo = null;
+  function currentLists() {
+    return { whitelist, blocklist, videoOverrides, rules, shared };
+  }
+
+  function isRevealed(metadata) {
+    const videoId = RuFilterDetector.ownVideoId(metadata);
+    return videoId
+      ? revealedVideoIds.has(videoId)
+      : revealedElements.has(metadata.element);
+  }
 
-  function setupHoverTracking() {
-    document.addEventListener('pointerover', (e) => {
-      const video = e.target.closest(RuFilterExtractor.VIDEO_SELECTORS);
-      if (video) lastHoveredVideo = video;
+  /**
+   * Hide a video using the hide mode configured for its surface.
+   */
+  function hide(metadata, result) {
+    RuFilterActions.hideVideo(metadata.element, {
+      mode: settings.hideModes[metadata.surface] || 'remove',
+      reason: describeReason(result),
+      label: reasonLabel(result),
     });
+    hiddenBatch.push(RuFilterStorage.logEntryFor(metadata, result));
+  }
+
+  function countScanned(surface) {
+    scannedBatch[surface] = (scannedBatch[surface] || 0) + 1;
   }
 
   /**
-   * Detect whether the current YouTube search query is in Russian.
-   *
-   * Conservative bias: only returns true when we're confident the query
-   * is Russian. This is the opposite bias from video-title detection —
-   * uncertain Cyrillic queries default to "not Russian" so we still filter.
-   *
-   * Examples:
-   *   "iPhone 17 Pro Max"   → false (English, filter Russian results)
-   *   "огляд iPhone"        → false (ambiguous Cyrillic, filter to be safe)
-   *   "Максим Кац"          → true  (chrome.i18n detects Russian)
-   *   "как готовить борщ"    → true  (Russian-only char ъ? no, but chrome.i18n detects ru)
+   * Count the videos hidden since the last call and add them to the activity log,
+   * and both them and the videos decided to the daily stats.
    */
-  async function isSearchQueryRussian() {
-    if (location.pathname !== '/results') return false;
-    const params = new URLSearchParams(location.search);
-    const query = (params.get('search_query') || '').trim();
-    if (!query) return false;
-
-    // Ukrainian-unique chars in query → user is searching in Ukrainian
-    if (/[іІїЇєЄґҐ]/.test(query)) return false;
-
-    // Russian-unique chars (ёыэъ) → confidently Russian
-    if (/[ёЁыЫэЭъЪ]/.test(query)) return true;
-
-    // No Cyrillic at all → not Russian (English, etc.)
-    if (!/[\u0400-\u04FF]/.test(query)) return false;
-
-    // Ambiguous Cyrillic — ask chrome.i18n for a confident answer
-    return new Promise((resolve) => {
-      try {
-        chrome.i18n.detectLanguage(query, (result) => {
-          if (chrome.runtime.lastError || !result?.languages?.length) {
-            resolve(false); // uncertain → treat as non-Russian → filter
-            return;
-          }
-          const top = result.languages[0];
-          resolve(top.language === 'ru' && top.percentage >= 60);
-        });
-      } catch {
-        resolve(false);
-      }
+  async function flushHidden() {
+    const batch = hiddenBatch;
+    const comments = hiddenComments;
+    const scanned = scannedBatch;
+    hiddenBatch = [];
+    hiddenComments = [];
+    scannedBatch = {};
+    const hidden = [...batch, ...comments];
+    const writes = [];
+    if (batch.length > 0) writes.push(RuFilterStorage.incrementFiltered(batch.length));
+    if (comments.length > 0) writes.push(RuFilterStorage.incrementCommentsFiltered(comments.length));
+    if (hidden.length > 0) writes.push(RuFilterStorage.appendLog(hidden));
+    if (hidden.length > 0 || Object.keys(scanned).length > 0) {
+      writes.push(RuFilterStorage.recordStats(scanned, hidden));
+    }
+    await Promise.all(writes);
+  }
+
+  /**
+   * Decision for a player-queue item (playlist entry, end-screen tile, "Up next").
+   */
+  async function decidePlaybackItem(metadata) {
+    if (isRevealed(metadata)) return { decision: 'ALLOW', reason: 'revealed' };
+    return decideVideo(metadata, policyFor(metadata.surface));
+  }
+
+  /**
+   * Hide a blocked player-queue item. Only playlist entries honour the hide mode;
+   * placeholders and blur make no sense inside the player's end screen.
+   */
+  function hidePlaybackItem(metadata, result) {
+    RuFilterActions.hideVideo(metadata.element, {
+      mode: metadata.kind === 'playlist-entry' ? settings.hideModes.watch || 'remove' : 'remove',
+      reason: describeReason(result),
+      label: reasonLabel(result),
     });
+    hiddenBatch.push(RuFilterStorage.logEntryFor(metadata, result));
+  }
+
+  /**
+   * Handle the buttons on a placeholder card (see RuFilterActions).
+   */
+  function onPlaceholderAction(e) {
+    const container = e.target;
+    const { action } = e.detail || {};
+    // Comment timestamps link to the video they're under, so comments are never keyed by video ID
+    const isComment = RuFilterComments.isComment(container);
+
+    if (action === 'show-once') {
+      const videoId = isComment ? '' : RuFilterDetector.ownVideoId({
+        kind: RuFilterExtractor.extractKind(container),
+        videoId: RuFilterExtractor.extractVideoId(container),
+      });
+      if (videoId) revealedVideoIds.add(videoId);
+      else revealedElements.add(container);
+      RuFilterActions.showVideo(container);
+    } else if (action === 'allow-channel') {
+      const channel = isComment
+        ? RuFilterComments.extractAuthor(container)
+        : RuFilterExtractor.extractChannel(container);
+      if (!channel.id && !channel.name) {
+        console.warn('[RuFilter] Could not determine channel from placeholder');
+        return;
+      }
+      // The storage change triggers a reprocess, which reveals the channel's videos
+      RuFilterStorage.addToWhitelist(channel).catch((err) => {
+        console.error('[RuFilter] Whitelist error:', err);
+      });
+    }
+  }
+
+  /**
+   * Evaluate the main video of a /watch page and show the interstitial if it
+   * would be blocked. Runs on load, after every yt-navigate-finish and after
+   * settings or list changes (which may also dismiss the interstitial).
+   */
+  async function checkWatchPage() {
+    const token = ++watchCheckToken;
+    const videoId = RuFilterWatchGuard.currentVideoId();
+    const canSkip = settings.skipInPlayback && RuFilterPlayback.inPlaylist();
+    const policy = policyFor('watch');
+    if (!settings.enabled || policy === 'off' || !(settings.watchInterstitial || canSkip) ||
+        !videoId || revealedVideoIds.has(videoId)) {
+      RuFilterWatchGuard.hide();
+      return;
+    }
+
+    try {
+      const metadata = await RuFilterWatchGuard.extractWatchMetadata(videoId);
+      if (token !== watchCheckToken) return;
+      if (!metadata) {
+        RuFilterWatchGuard.hide();
+        return;
+      }
+
+      // Same surface policy as the watch page's tiles
+      const result = await decideVideo(metadata, policy);
+      if (token !== watchCheckToken) return;
+      if (videoId !== scannedWatchVideoId) {
+        scannedWatchVideoId = videoId;
+        countScanned('watch');
+      }
+      console.log('[RuFilter] Watch page', result.decision, '|', describeReason(result), '|',
+        metadata.title.substring(0, 50), '|', metadata.channelName, metadata.channelId);
+
+      if (result.decision !== 'BLOCK') {
+        consecutiveSkips = 0;
+        RuFilterWatchGuard.hide();
+        return;
+      }
+
+      // Playlist or mix reached a blocked entry → move on to the next allowed one
+      if (canSkip && consecutiveSkips < MAX_CONSECUTIVE_SKIPS &&
+          RuFilterPlayback.skipToNextAllowed(videoId)) {
+        consecutiveSkips++;
+        console.log('[RuFilter] Skipped blocked playlist entry', videoId);
+        hiddenBatch.push(RuFilterStorage.logEntryFor(metadata, result));
+        await flushHidden();
+        return;
+      }
+      if (!settings.watchInterstitial) return;
+
+      const wasShown = RuFilterWatchGuard.isShown();
+      const playAnyway = () => {
+        revealedVideoIds.add(videoId);
+        RuFilterWatchGuard.play();
+      };
+      RuFilterWatchGuard.show({
+        title: metadata.title,
+        channelName: metadata.channelName,
+        label: reasonLabel(result),
+        onBack: () => RuFilterWatchGuard.goBack(),
+        onPlay: playAnyway,
+        onWhitelist: () => {
+          playAnyway();
+          const channel = { id: metadata.channelId, name: metadata.channelName };
+          RuFilterStorage.addToWhitelist(channel).catch((err) => {
+            console.error('[RuFilter] Whitelist error:', err);
+          });
+        },
+      });
+      if (!wasShown) {
+        hiddenBatch.push(RuFilterStorage.logEntryFor(metadata, result));
+        await flushHidden();
+      }
+    } catch (err) {
+      console.error('[RuFilter] Error checking watch page:', err);
+    }
+  }
+
+  /**
+   * Upgrade legacy name-keyed list entries to ID-keyed ones as their channels are seen.
+   * Runs in the background; the resulting storage change triggers a normal reprocess.
+   */
+  function migrateLegacyEntries(metadata) {
+    if (!metadata.channelId) return;
+    const channel = { id: metadata.channelId, name: metadata.channelName };
+    for (const [listType, list] of [['whitelist', whitelist], ['blocklist', blocklist]]) {
+      const match = RuFilterChannel.findEntry(list, channel);
+      if (!match || !match.legacy) continue;
+      const token = listType + ':' + match.key;
+      if (pendingMigrations.has(token)) continue;
+      pendingMigrations.add(token);
+      RuFilterStorage.migrateEntry(listType, match.key, channel)
+        .then((migrated) => {
+          if (migrated) console.log('[RuFilter] Migrated', listType, 'entry', match.key, '→', channel.id);
+        })
+        .catch((err) => {
+          pendingMigrations.delete(token);
+          console.error('[RuFilter] Migration error:', err);
+        });
+    }
+  }
+
+  /**
+   * Evaluate new comments on a /watch page, all at once, and hide those in a
+   * filtered language (or by a blocked author). Hidden comments go to the
+   * activity log and daily stats (surface "comments") like hidden tiles.
+   */
+  async function processComments() {
+    const generation = decisionGeneration;
+    const comments = RuFilterComments.findUnprocessedComments()
+      .map((element) => RuFilterComments.extractComment(element))
+      .filter(Boolean);
+    if (comments.length === 0) return;
+
+    await Promise.all(comments.map(async (comment) => {
+      const result = await RuFilterDetector.shouldFilterComment(comment, currentLists(), settings);
+      if (generation !== decisionGeneration) return;
+      countScanned('comments');
+      if (result.decision !== 'BLOCK' || revealedElements.has(comment.target)) return;
+      if (comment.target.hasAttribute(RuFilterActions.HIDDEN_ATTR)) return;
+
+      RuFilterActions.hideVideo(comment.target, {
+        mode: settings.hideModes.comments,
+        reason: describeReason(result),
+        label: result.reason === 'blocklist' ? 'blocked commenter' : reasonLabel(result),
+      });
+      hiddenComments.push(RuFilterStorage.logEntryFor({
+        title: comment.text.substring(0, COMMENT_LOG_LENGTH),
+        channelName: comment.authorName,
+        channelId: comment.authorId,
+        surface: 'comments',
+      }, result));
+      console.log('[RuFilter] BLOCK comment |', describeReason(result), '|',
+        comment.text.substring(0, 50), '|', comment.authorName, comment.authorId);
+    }));
+    await flushHidden();
+  }
+
+  /**
+   * Decision for a video tile under a surface policy (see policyFor), if it can
+   * be made without waiting for CLD: lists, the decision cache (RuFilterCache)
+   * or the synchronous detection tiers.
+   * @returns {Object|null} null when only decideVideo can tell
+   */
+  function decideVideoSync(metadata, policy) {
+    if (policy === 'off') return { decision: 'ALLOW', reason: 'surface-off' };
+    if (policy === 'blocklist') {
+      // The whitelist stays: your own lists beat the shared blocklist
+      const blocklistOnly = { whitelist, blocklist, videoOverrides, rules, shared: { blocklist: shared.blocklist } };
+      return RuFilterDetector.checkLists(metadata, blocklistOnly) ||
+        { decision: 'ALLOW', reason: 'default' };
+    }
+    return RuFilterCache.decideSync(metadata, currentLists(), settings);
+  }
+
+  /**
+   * Decision for a video tile under a surface policy (see policyFor).
+   */
+  async function decideVideo(metadata, policy) {
+    return decideVideoSync(metadata, policy) || RuFilterCache.decide(metadata, currentLists(), settings);
+  }
+
+  /**
+   * Hide a tile if its decision says so, unless the user revealed it.
+   */
+  function applyDecision(metadata, result) {
+    countScanned(metadata.surface);
+    if (result.decision === 'BLOCK' && !isRevealed(metadata)) {
+      hide(metadata, result);
+    }
+    console.log('[RuFilter]', result.decision, result.cached ? '(cached)' : '', '|', describeReason(result), '|',
+      metadata.title.substring(0, 50), '|', metadata.channelName, metadata.channelId,
+      result.signals || '');
+  }
+
+  /**
+   * Decide a tile that needs CLD in the background (RuFilterQueue: at most a few
+   * at a time, nearest to the viewport first) and hide it as soon as its own
+   * decision is ready. Dropped if lists or settings change in the meantime —
+   * the tile is then re-decided with the new ones.
+   */
+  function detectInBackground(metadata, policy) {
+    const generation = decisionGeneration;
+    return RuFilterQueue.run(metadata.element, () => decideVideo(metadata, policy))
+      .then((result) => {
+        if (result && generation === decisionGeneration) applyDecision(metadata, result);
+      })
+      .catch((err) => console.error('[RuFilter] Error deciding video:', err));
   }
 
   /**
-   * Check if the current page is a channel page.
-   * Channel pages are exempt from filtering — the user navigated there intentionally.
+   * Forget decisions still running or waiting (lists or settings changed).
    */
-  function isChannelPage() {
-    const path = location.pathname;
-    return path.startsWith('/@') ||
-           path.startsWith('/channel/') ||
-           path.startsWith('/c/') ||
-           path.startsWith('/user/');
+  function cancelDetections() {
+    decisionGeneration++;
+    RuFilterQueue.clear();
   }
 
   /**
@@ -94,149 +430,297 @@
    */
   async function processVideos() {
     if (!settings.enabled || isProcessing) return;
-
-    // Don't filter on channel pages — user navigated there intentionally
-    if (isChannelPage()) return;
-
     isProcessing = true;
 
     // On search pages, check the query language once for the whole batch
-    const onSearchPage = location.pathname === '/results';
-    const russianQuery = onSearchPage ? await isSearchQueryRussian() : false;
-    const skipLanguageFilter = onSearchPage && russianQuery;
+    const russianQuery = await isRussianQueryBypass();
 
     try {
-      const unprocessed = RuFilterExtractor.findUnprocessedVideos();
+      RuFilterActions.restorePlaceholders();
+
+      // Player queue: playlist panel, end screen, autoplay "Up next"
+      if (settings.skipInPlayback && location.pathname === '/watch') {
+        await RuFilterPlayback.scan(decidePlaybackItem, hidePlaybackItem);
+      }
+
+      // Tiles the observer queued since the last run (RuFilterObserver)
+      const unprocessed = RuFilterObserver.takePending();
       if (unprocessed.length > 0) {
         console.log('[RuFilter] Scan:', unprocessed.length, 'unprocessed videos',
-          onSearchPage ? '(search, skipLang=' + skipLanguageFilter + ')' : '(feed)');
+          '(' + RuFilterExtractor.getPageSurface() + (russianQuery ? ', Russian query' : '') + ')');
       }
-      if (unprocessed.length === 0) return;
-
-      let filteredCount = 0;
 
+      // Decide what can be decided synchronously right away; the rest goes to CLD
+      const detections = [];
       for (const container of unprocessed) {
-        if (processedElements.has(container)) continue;
-
-        const metadata = RuFilterExtractor.extractMetadata(container);
-        if (!metadata) continue;
-
-        processedElements.add(container);
-
-        // If user searched in Russian, only apply blocklist (not language filter)
-        if (skipLanguageFilter) {
-          if (metadata.channelName && blocklist[metadata.channelName]) {
-            RuFilterActions.hideVideo(metadata.element);
-            filteredCount++;
-            console.log('[RuFilter] BLOCK (blocklist):', metadata.channelName);
-          }
+        const metadata = processedElements.has(container) ? null : RuFilterExtractor.extractMetadata(container);
+        if (!metadata) {
+          RuFilterQueue.untrack(container);
+          // Title not rendered yet: check again once YouTube fills it in
+          if (!processedElements.has(container)) RuFilterObserver.watchUntilFilled(container);
           continue;
         }
 
-        const decision = await RuFilterDetector.shouldFilter(
-          metadata.title,
-          metadata.channelName,
-          whitelist,
-          blocklist
-        );
-
-        if (decision === 'BLOCK') {
-          RuFilterActions.hideVideo(metadata.element);
-          filteredCount++;
+        processedElements.add(container);
+        migrateLegacyEntries(metadata);
+
+        const policy = policyFor(metadata.surface, russianQuery);
+        const result = decideVideoSync(metadata, policy);
+        if (result) {
+          RuFilterQueue.untrack(container);
+          applyDecision(metadata, result);
+        } else {
+          detections.push(detectInBackground(metadata, policy));
         }
-        console.log('[RuFilter]', decision, '|',
-          metadata.title.substring(0, 50), '|', metadata.channelName);
       }
 
-      if (filteredCount > 0) {
-        await RuFilterStorage.incrementFiltered(filteredCount);
+      await flushHidden();
+      if (detections.length > 0) {
+        Promise.all(detections)
+          .then(flushHidden)
+          .catch((err) => console.error('[RuFilter] Error saving hidden videos:', err));
+      }
+
+      // Comments wait for CLD more often than titles; the tile pass doesn't wait for them
+      if (settings.filterComments && location.pathname === '/watch') {
+        processComments().catch((err) => console.error('[RuFilter] Error processing comments:', err));
       }
     } catch (err) {
       console.error('[RuFilter] Error processing videos:', err);
     } finally {
       isProcessing = false;
       // Elements may have arrived during processing (MutationObserver callbacks
-      // were rejected because isProcessing was true). Schedule a follow-up scan.
-      if (settings.enabled && RuFilterExtractor.findUnprocessedVideos().length > 0) {
+      // were rejected because isProcessing was true). Schedule a follow-up run.
+      if (settings.enabled && RuFilterObserver.hasPending()) {
         setTimeout(processVideos, 200);
       }
     }
   }
 
   /**
-   * Re-evaluate all videos (e.g., after whitelist/blocklist change).
+   * Show or hide an already processed tile for its new decision.
+   */
+  function reapplyDecision(metadata, result) {
+    const hidden = metadata.element.hasAttribute(RuFilterActions.HIDDEN_ATTR);
+    if (result.decision === 'BLOCK' && !hidden && !isRevealed(metadata)) {
+      hide(metadata, result);
+    } else if (result.decision !== 'BLOCK' && hidden) {
+      RuFilterActions.showVideo(metadata.element);
+    }
+  }
+
+  /**
+   * Re-apply the whitelist and blocklist to the video tiles already on the page.
+   * Most decisions come from the lists and the decision cache right away; tiles
+   * still waiting for CLD go through the detection queue like new ones. Only
+   * tiles whose decision changes are shown or hidden.
+   */
+  async function reapplyLists() {
+    const russianQuery = await isRussianQueryBypass();
+    const generation = decisionGeneration;
+    const detections = [];
+
+    for (const container of document.querySelectorAll(`[${RuFilterExtractor.PROCESSED_ATTR}]`)) {
+      // Comments carry the same marker
+      if (!container.matches(RuFilterExtractor.VIDEO_SELECTORS)) continue;
+      const metadata = RuFilterExtractor.extractMetadata(container);
+      if (!metadata) continue;
+
+      const policy = policyFor(metadata.surface, russianQuery);
+      const result = decideVideoSync(metadata, policy);
+      if (result) {
+        reapplyDecision(metadata, result);
+        continue;
+      }
+      RuFilterQueue.track(container);
+      detections.push(RuFilterQueue.run(container, () => decideVideo(metadata, policy))
+        .then((late) => {
+          if (late && generation === decisionGeneration) reapplyDecision(metadata, late);
+        })
+        .catch((err) => console.error('[RuFilter] Error deciding video:', err)));
+    }
+
+    await flushHidden();
+    if (detections.length > 0) {
+      Promise.all(detections)
+        .then(flushHidden)
+        .catch((err) => console.error('[RuFilter] Error saving hidden videos:', err));
+    }
+  }
+
+  /**
+   * After a whitelist/blocklist change: update video tiles in place, and
+   * re-evaluate comments and the player queue.
+   */
+  async function onListsChanged() {
+    cancelDetections();
+    await reapplyLists();
+    RuFilterComments.resetMarkers();
+    RuFilterPlayback.resetMarkers();
+    await processVideos();
+  }
+
+  /**
+   * Re-evaluate all videos (e.g., after a settings change).
    */
   async function reprocessAll() {
+    cancelDetections();
     RuFilterActions.showAllHidden();
     RuFilterActions.resetAllMarkers();
+    RuFilterPlayback.resetMarkers();
     processedElements = new WeakSet();
+    RuFilterObserver.queueAll();
     await processVideos();
   }
 
+  /**
+   * Reload the lists a storage change touched and re-apply them.
+   * @param {string[]} names - sharded maps to re-read (RuFilterStorage.changedMaps)
+   * @param {boolean} reloadShared - whether to recombine the shared lists too
+   */
+  async function reloadLists(names, reloadShared) {
+    const [maps, sharedLists] = await Promise.all([
+      Promise.all(names.map((name) => RuFilterStorage.getMap(name))),
+      reloadShared ? RuFilterStorage.getSharedLists() : shared,
+    ]);
+    const loaded = Object.fromEntries(names.map((name, i) => [name, maps[i]]));
+    if (loaded.whitelist) whitelist = loaded.whitelist;
+    if (loaded.blocklist) blocklist = loaded.blocklist;
+    if (loaded.videoOverrides) videoOverrides = loaded.videoOverrides;
+    if (loaded.rules) rules = loaded.rules;
+    shared = sharedLists;
+
+    if (!settings.enabled) return;
+    await onListsChanged();
+    checkWatchPage();
+  }
+
   /**
    * Handle storage changes from popup or context menu.
    */
   function onStorageChanged(changes, area) {
-    let needsReprocess = false;
+    // Lists are sharded and may be kept in either area, so they're re-read rather
+    // than taken from the change; shared lists change with subscriptions or a download
+    const maps = RuFilterStorage.changedMaps(changes);
+    const sharedChanged = (area === 'sync' && changes.subscriptions) || (area === 'local' && changes.subscriptionData);
+    if (maps.length > 0 || sharedChanged) {
+      reloadLists(maps, Boolean(sharedChanged))
+        .catch((err) => console.error('[RuFilter] Error reloading lists:', err));
+    }
 
-    if (area === 'sync') {
-      if (changes.settings) {
-        const wasEnabled = settings.enabled;
-        settings = changes.settings.newValue || { enabled: true };
+    if (area !== 'sync' || !changes.settings) return;
+    const wasEnabled = settings.enabled;
+    settings = RuFilterStorage.withDefaults(changes.settings.newValue);
 
-        if (!settings.enabled) {
-          RuFilterActions.showAllHidden();
-          RuFilterObserver.stop();
-          return;
-        }
-        // Went from disabled → enabled: start observer
-        if (!wasEnabled && settings.enabled) {
-          RuFilterObserver.start(processVideos);
-        }
-        needsReprocess = true;
-      }
-      if (changes.whitelist) {
-        whitelist = changes.whitelist.newValue || {};
-        needsReprocess = true;
-      }
-      if (changes.blocklist) {
-        blocklist = changes.blocklist.newValue || {};
-        needsReprocess = true;
-      }
+    if (!settings.enabled) {
+      cancelDetections();
+      RuFilterActions.showAllHidden();
+      RuFilterWatchGuard.hide();
+      RuFilterObserver.stop();
+      return;
+    }
+    // Went from disabled → enabled: start observer
+    if (!wasEnabled && settings.enabled) {
+      RuFilterObserver.start(processVideos, { watchSelectors: WATCHED_SELECTORS });
+    }
+    reprocessAll();
+    checkWatchPage();
+  }
+
+  function reportActionError(err) {
+    console.error('[RuFilter] Context menu action failed:', err);
+    RuFilterToast.show(`RuFilter couldn't save your change: ${err.message}`, { error: true });
+  }
+
+  function confirmWithUndo(message, undo) {
+    RuFilterToast.show(message, {
+      actionLabel: 'Undo',
+      onAction: () => undo().catch(reportActionError),
+    });
+  }
+
+  /**
+   * Add a right-clicked channel to the whitelist or blocklist. Undo restores
+   * the list it was on before, if any.
+   */
+  async function listChannel(listType, channel) {
+    if (!channel) {
+      RuFilterToast.show("RuFilter couldn't tell which channel this is. Try right-clicking the channel name.",
+        { error: true });
+      return;
     }
+    const label = RuFilterChannel.cleanName(channel.name) || channel.id;
+    const lists = { whitelist, blocklist };
+    const oppositeType = listType === 'whitelist' ? 'blocklist' : 'whitelist';
+    if (RuFilterChannel.findEntry(lists[listType], channel)) {
+      RuFilterToast.show(`${label} is already ${listType === 'whitelist' ? 'whitelisted' : 'blocked'}`);
+      return;
+    }
+    const wasOpposite = Boolean(RuFilterChannel.findEntry(lists[oppositeType], channel));
+
+    await RuFilterStorage.addToList(listType, channel);
+    confirmWithUndo(`${listType === 'whitelist' ? 'Whitelisted' : 'Blocked'} ${label}`, () => (wasOpposite
+      ? RuFilterStorage.addToList(oppositeType, channel)
+      : RuFilterStorage.removeFromList(listType, RuFilterChannel.keyOf(channel))));
+  }
 
-    if (needsReprocess && settings.enabled) {
-      reprocessAll();
+  /**
+   * Hide or always show a right-clicked video. Undo restores its previous override.
+   */
+  async function overrideVideo(action, video) {
+    if (!video) {
+      RuFilterToast.show("RuFilter couldn't tell which video this is. Try right-clicking its title or thumbnail.",
+        { error: true });
+      return;
     }
+    const title = video.title.length > TOAST_TITLE_LENGTH
+      ? `${video.title.substring(0, TOAST_TITLE_LENGTH)}…`
+      : video.title;
+    const label = title ? `"${title}"` : 'this video';
+    const previous = videoOverrides[video.videoId];
+    if (previous?.action === action) {
+      RuFilterToast.show(`${label} is already ${action === 'hide' ? 'hidden' : 'always shown'}`);
+      return;
+    }
+
+    await RuFilterStorage.setVideoOverride(video.videoId, action, video.title);
+    confirmWithUndo(`${action === 'hide' ? 'Hid' : 'Always showing'} ${label}`, () => (previous
+      ? RuFilterStorage.setVideoOverride(video.videoId, previous.action, previous.title)
+      : RuFilterStorage.removeVideoOverride(video.videoId)));
   }
 
   /**
-   * Handle messages from the background service worker (e.g., context menu actions).
+   * Run a context-menu action on what was right-clicked (RuFilterContextTarget)
+   * and confirm it, or report the failure, with a toast in the page.
+   * @param {"whitelist"|"blocklist"|"block-commenter"|"hide-video"|"allow-video"} action
+   * @param {string} linkUrl - the right-clicked link, if any
    */
-  function onMessage(message, sender, sendResponse) {
-    if (message.type === 'GET_CHANNEL_FROM_CONTEXT') {
-      if (lastHoveredVideo) {
-        // Extract channel name without marking as processed (read-only extraction)
-        const selectors = [
-          'ytd-channel-name #text',
-          'ytd-channel-name yt-formatted-string',
-          '#channel-name #text',
-          '#channel-name yt-formatted-string',
-          '#byline a',
-          '#byline',
-        ];
-        let channelName = '';
-        for (const sel of selectors) {
-          const el = lastHoveredVideo.querySelector(sel);
-          if (el) {
-            const text = el.textContent.trim();
-            if (text) { channelName = text; break; }
-          }
+  async function runContextAction(action, linkUrl) {
+    try {
+      if (action === 'hide-video' || action === 'allow-video') {
+        await overrideVideo(action === 'hide-video' ? 'hide' : 'allow', RuFilterContextTarget.videoAt(linkUrl));
+      } else if (action === 'block-commenter') {
+        const commenter = RuFilterContextTarget.commenterAt();
+        if (commenter) {
+          await listChannel('blocklist', commenter);
+        } else {
+          RuFilterToast.show("RuFilter couldn't tell whose comment this is. Try right-clicking the commenter's name.",
+            { error: true });
         }
-        sendResponse({ channelName });
       } else {
-        sendResponse({ channelName: '' });
+        await listChannel(action, RuFilterContextTarget.channelAt(linkUrl));
       }
+    } catch (err) {
+      reportActionError(err);
+    }
+  }
+
+  /**
+   * Handle messages from the background service worker (context menu actions).
+   */
+  function onMessage(message, sender, sendResponse) {
+    if (message.type === 'CONTEXT_ACTION') {
+      runContextAction(message.action, message.linkUrl || '').then(() => sendResponse({ ok: true }));
       return true;
     }
   }
@@ -247,31 +731,29 @@
   async function init() {
     try {
       // Load initial data
-      [settings, whitelist, blocklist] = await Promise.all([
+      [settings, whitelist, blocklist, videoOverrides, rules, shared] = await Promise.all([
         RuFilterStorage.getSettings(),
         RuFilterStorage.getWhitelist(),
         RuFilterStorage.getBlocklist(),
+        RuFilterStorage.getVideoOverrides(),
+        RuFilterStorage.getRules(),
+        RuFilterStorage.getSharedLists(),
       ]);
 
       // Always register listeners so toggling enable/disable works without reload
       chrome.storage.onChanged.addListener(onStorageChanged);
       chrome.runtime.onMessage.addListener(onMessage);
-      setupHoverTracking();
+      document.addEventListener(RuFilterActions.ACTION_EVENT, onPlaceholderAction);
+      document.addEventListener('yt-navigate-finish', checkWatchPage);
 
       if (!settings.enabled) return;
 
-      // Start DOM observer
-      RuFilterObserver.start(processVideos);
+      // Start DOM observer; it queues the tiles already on the page
+      RuFilterObserver.start(processVideos, { watchSelectors: WATCHED_SELECTORS });
 
-      // Initial scan
+      // Initial scan (the watch-page check waits for the player metadata on its own)
+      checkWatchPage();
       await processVideos();
-
-      // Periodic safety-net scan: catches videos missed by MutationObserver
-      // (e.g., YouTube SPA navigation edge cases, lazy rendering).
-      // Low cost: processVideos() returns immediately if nothing is unprocessed.
-      setInterval(() => {
-        if (settings.enabled) processVideos();
-      }, 3000);
     } catch (err) {
       console.error('[RuFilter] Initialization error:', err);
     }
@@ -0,0 +1,222 @@
+/**
+ * Content-script side of pre-render filtering (see content/page-hook.js).
+ *
+ * Answers the page hook's FILTER_ITEMS messages: each item is run through the
+ * same decision (RuFilterCache.decide) and user lists as the DOM path, and the
+ * indexes of the blocked ones are sent back to be removed from YouTube's data.
+ * They are counted and logged once the hook reports them removed (FILTER_APPLIED).
+ *
+ * Loaded at document_start (before main.js), so it keeps its own copy of the
+ * settings and lists. Only items whose surface hides videos with the "remove"
+ * mode are dropped from the data — blur and placeholder need a rendered tile,
+ * so those are left to the DOM path, as is anything the hook didn't recognise.
+ * Surface policies (filter, blocklist only, off) apply as on the DOM path.
+ */
+const RuFilterPageData = (() => {
+  const PAGE_SOURCE = 'rufilter-page';
+  const CONTENT_SOURCE = 'rufilter-content';
+  // How long blocked items wait for the hook's FILTER_APPLIED before they are forgotten
+  const APPLY_WAIT_MS = 10000;
+
+  // browseId of the feeds we filter; other browse pages (playlists, …) follow the URL
+  const BROWSE_SURFACES = {
+    FEwhat_to_watch: 'home',
+    FEsubscriptions: 'subscriptions',
+    FEhistory: 'history',
+  };
+
+  let settings = RuFilterStorage.DEFAULT_SETTINGS;
+  let whitelist = {};
+  let blocklist = {};
+  let videoOverrides = {};
+  let rules = {};
+  let shared = { whitelist: {}, blocklist: {} };
+  // requestId → blocked items (see decide) until the hook confirms it removed them
+  const awaitingApply = new Map();
+
+  const ready = (async () => {
+    try {
+      [settings, whitelist, blocklist, videoOverrides, rules, shared] = await Promise.all([
+        RuFilterStorage.getSettings(),
+        RuFilterStorage.getWhitelist(),
+        RuFilterStorage.getBlocklist(),
+        RuFilterStorage.getVideoOverrides(),
+        RuFilterStorage.getRules(),
+        RuFilterStorage.getSharedLists(),
+      ]);
+    } catch (err) {
+      console.error('[RuFilter] Error loading settings for page data:', err);
+    }
+  })();
+
+  /**
+   * Whether the hook should ask at all: pre-render filtering is on and some
+   * surface is filtered with the "remove" hide mode. Sent to it as CONFIG.
+   */
+  function isActive() {
+    return settings.enabled && settings.filterBeforeRender && RuFilterExtractor.SURFACES.some((surface) =>
+      settings.surfacePolicies[surface] !== 'off' && settings.hideModes[surface] === 'remove');
+  }
+
+  function postToPage(message) {
+    window.postMessage({ source: CONTENT_SOURCE, ...message }, location.origin);
+  }
+
+  /**
+   * Surface the requested data will be shown on.
+   * Continuations and the initial data belong to the current page.
+   * @returns {string|null} null when the page can't be told from the request
+   */
+  function surfaceOf(request) {
+    switch (request.endpoint) {
+      case 'search':
+        return 'search';
+      case 'next':
+        return 'watch';
+      case 'browse':
+        if (request.continuation) return RuFilterExtractor.getPageSurface();
+        if (request.browseId.startsWith('UC')) return 'channel';
+        return BROWSE_SURFACES[request.browseId] || null;
+      default:
+        return RuFilterExtractor.getPageSurface();
+    }
+  }
+
+  /**
+   * Search query for a request, from its body or (continuations) the current URL.
+   */
+  function queryOf(request) {
+    if (request.query) return request.query;
+    if (location.pathname !== '/results') return '';
+    return new URLSearchParams(location.search).get('search_query') || '';
+  }
+
+  /**
+   * Decide which of the hook's items to drop. Items are decided concurrently,
+   * so ones that need CLD don't wait for each other.
+   * @returns {Promise<Map<number, Object>>} index of each blocked item → its
+   *   activity-log entry (RuFilterStorage.logEntryFor)
+   */
+  async function decide(items, request) {
+    await ready;
+    const blocked = new Map();
+    if (!isActive()) return blocked;
+
+    const pageSurface = surfaceOf(request);
+    if (!pageSurface) return blocked;
+
+    // Same rule as the DOM path: with the bypass on, a Russian search query only applies the blocklist
+    const russianQuery = pageSurface === 'search' && settings.russianQueryBypass &&
+      await RuFilterDetector.isRussianQuery(queryOf(request), settings);
+    const uiLanguage = document.documentElement.lang || '';
+
+    const decisions = await Promise.all(items.map(async (item) => {
+      // As RuFilterExtractor.getSurface: Shorts on channel and history pages belong to the page
+      const surface = item.kind === 'short' && pageSurface !== 'channel' && pageSurface !== 'history'
+        ? 'shorts'
+        : pageSurface;
+      const policy = settings.surfacePolicies[surface] || 'filter';
+      if (policy === 'off' || settings.hideModes[surface] !== 'remove') return null;
+
+      const video = {
+        ...item,
+        surface,
+        channelId: RuFilterChannel.parse(item.channelRef || ''),
+        hashtags: [],
+        badges: item.badges || [],
+        uiLanguage,
+      };
+
+      let result;
+      if (policy === 'blocklist' || russianQuery) {
+        // The whitelist stays: your own lists beat the shared blocklist
+        const lists = { whitelist, blocklist, videoOverrides, rules, shared: { blocklist: shared.blocklist } };
+        result = RuFilterDetector.checkLists(video, lists);
+      } else {
+        result = await RuFilterCache.decide(video, { whitelist, blocklist, videoOverrides, rules, shared }, settings);
+      }
+      return result?.decision === 'BLOCK' ? { video, result } : null;
+    }));
+
+    for (const [index, decided] of decisions.entries()) {
+      if (!decided) continue;
+      const { video, result } = decided;
+      blocked.set(index, RuFilterStorage.logEntryFor(video, result));
+      console.log('[RuFilter] BLOCK (data)', video.kind, '|', result.reason, result.language || '', '|',
+        (video.title || '').substring(0, 50), '|', video.channelName || '');
+    }
+    return blocked;
+  }
+
+  /**
+   * Count and log the items the hook removed. Only once it confirms: an answer
+   * that reaches it too late leaves the items in, and the DOM path counts them.
+   */
+  function record(entries) {
+    if (entries.length === 0) return;
+    // Items let through are counted as scanned once their tiles render; the
+    // removed ones never will be
+    const scanned = {};
+    for (const entry of entries) scanned[entry.surface] = (scanned[entry.surface] || 0) + 1;
+    Promise.all([
+      RuFilterStorage.incrementFiltered(entries.length),
+      RuFilterStorage.appendLog(entries),
+      RuFilterStorage.recordStats(scanned, entries),
+    ]).catch((err) => console.error('[RuFilter] Error recording filtered page data:', err));
+  }
+
+  window.addEventListener('message', async (e) => {
+    if (e.source !== window || e.data?.source !== PAGE_SOURCE) return;
+    const { type, requestId } = e.data;
+
+    if (type === 'FILTER_APPLIED') {
+      const decided = awaitingApply.get(requestId);
+      awaitingApply.delete(requestId);
+      if (decided) record((e.data.removed || []).map((index) => decided.get(index)).filter(Boolean));
+      return;
+    }
+    if (type !== 'FILTER_ITEMS') return;
+
+    let blocked = new Map();
+    try {
+      blocked = await decide(e.data.items || [], e.data.request || {});
+    } catch (err) {
+      console.error('[RuFilter] Error filtering page data:', err);
+    }
+    if (blocked.size > 0) {
+      awaitingApply.set(requestId, blocked);
+      setTimeout(() => awaitingApply.delete(requestId), APPLY_WAIT_MS);
+    }
+    postToPage({ type: 'FILTER_RESULT', requestId, blocked: [...blocked.keys()] });
+  });
+
+  async function reloadMap(name) {
+    const map = await RuFilterStorage.getMap(name);
+    if (name === 'whitelist') whitelist = map;
+    else if (name === 'blocklist') blocklist = map;
+    else if (name === 'videoOverrides') videoOverrides = map;
+    else if (name === 'rules') rules = map;
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    // Sharded lists are re-read (see RuFilterStorage.changedMaps)
+    for (const name of RuFilterStorage.changedMaps(changes)) {
+      reloadMap(name).catch((err) => console.error('[RuFilter] Error loading', name + ':', err));
+    }
+    if ((area === 'sync' && changes.subscriptions) || (area === 'local' && changes.subscriptionData)) {
+      RuFilterStorage.getSharedLists()
+        .then((lists) => { shared = lists; })
+        .catch((err) => console.error('[RuFilter] Error loading shared lists:', err));
+    }
+    if (area === 'sync' && changes.settings) {
+      settings = RuFilterStorage.withDefaults(changes.settings.newValue);
+      postToPage({ type: 'CONFIG', active: isActive() });
+    }
+  });
+
+  ready.then(() => postToPage({ type: 'CONFIG', active: isActive() }));
+
+  return {
+    isActive,
+  };
+})();
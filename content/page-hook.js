@@ -0,0 +1,313 @@
+/**
+ * Page-context hook for filtering YouTube's JSON data before it is rendered.
+ *
+ * Runs in the page's own JavaScript world (manifest "world": "MAIN") at
+ * document_start, so it can see what the isolated content scripts cannot:
+ * - window.ytInitialData, the data for the first page load
+ * - fetch() responses from youtubei/v1/browse, /search and /next (SPA
+ *   navigation, continuations, watch-page sidebar)
+ *
+ * It only knows YouTube's data shapes. Each recognised item (videoRenderer,
+ * lockupViewModel, reelItemRenderer, …) is reduced to the same fields the DOM
+ * extractor reads and sent to the content script (RuFilterPageData) over
+ * window.postMessage; the content script makes the decisions with the user's
+ * settings and lists and answers with the items to drop, which are then spliced
+ * out of the data. The hook confirms what it removed (FILTER_APPLIED), so only
+ * those are counted — an answer that comes too late is not. Responses with no
+ * recognised items pass through untouched, and the DOM path filters whatever
+ * gets rendered.
+ *
+ * Nothing is sent until the content script's CONFIG says there is something to
+ * remove, so with pre-render filtering off responses are never held up. Page
+ * scripts can post on the same channel: only answers to a request the hook
+ * sent, with indexes into that request's items, are used. At worst a forged
+ * CONFIG turns this hook off, and the DOM path still filters.
+ *
+ * ytInitialData can't be held back (the page reads it synchronously), so it is
+ * pruned in place as soon as the answer arrives — usually before YouTube's app
+ * has finished loading and consumes it. If it arrives before the first CONFIG,
+ * it waits for it.
+ */
+(() => {
+  const PAGE_SOURCE = 'rufilter-page';
+  const CONTENT_SOURCE = 'rufilter-content';
+  const API_PATTERN = /\/youtubei\/v1\/(browse|search|next)\b/;
+  const REQUEST_TIMEOUT_MS = 750;
+  // Unanswered requests in a row after which the content script is taken to be
+  // gone (e.g. the extension was reloaded) until it sends CONFIG again
+  const MAX_MISSED_ANSWERS = 3;
+
+  // null until the content script reports whether pre-render filtering is on
+  let active = null;
+  let missedAnswers = 0;
+  let nextRequestId = 1;
+  // requestId → { size, resolve } for requests waiting for FILTER_RESULT
+  const pending = new Map();
+
+  // --- Reading YouTube's data shapes ---
+
+  function text(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (value.simpleText) return value.simpleText;
+    if (Array.isArray(value.runs)) return value.runs.map((run) => run.text || '').join('');
+    if (typeof value.content === 'string') return value.content;
+    return '';
+  }
+
+  /**
+   * First channel reference ("/@handle" URL or "UC…" browse ID) under a value.
+   */
+  function channelRef(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 12) return '';
+    const browse = value.browseEndpoint;
+    if (browse && (browse.canonicalBaseUrl || browse.browseId?.startsWith('UC'))) {
+      return browse.canonicalBaseUrl || browse.browseId;
+    }
+    for (const child of Object.values(value)) {
+      const ref = channelRef(child, depth + 1);
+      if (ref) return ref;
+    }
+    return '';
+  }
+
+  function classicVideo(kind) {
+    return (r) => {
+      const byline = r.ownerText || r.shortBylineText || r.longBylineText;
+      return {
+        kind,
+        videoId: r.videoId || '',
+        title: text(r.title) || text(r.headline),
+        channelName: text(byline),
+        channelRef: channelRef(byline),
+        description: text(r.descriptionSnippet) || text(r.detailedMetadataSnippets?.[0]?.snippetText),
+        badges: (r.badges || []).map((b) => b.metadataBadgeRenderer?.label).filter(Boolean),
+        metadataLine: [text(r.viewCountText), text(r.publishedTimeText)].filter(Boolean).join(' • '),
+      };
+    };
+  }
+
+  function lockup(r) {
+    const metadata = r.metadata?.lockupMetadataViewModel;
+    const rows = metadata?.metadata?.contentMetadataViewModel?.metadataRows || [];
+    const lines = rows.map((row) => (row.metadataParts || []).map((part) => text(part.text)).filter(Boolean).join(' • '));
+    const isVideo = r.contentType === 'LOCKUP_CONTENT_TYPE_VIDEO';
+    return {
+      kind: isVideo ? 'video' : 'playlist',
+      videoId: isVideo ? r.contentId || '' : '',
+      title: text(metadata?.title),
+      channelName: lines[0] || '',
+      channelRef: channelRef(metadata?.metadata),
+      metadataLine: lines.slice(1).join(' • '),
+    };
+  }
+
+  function post(r) {
+    return {
+      kind: 'post',
+      title: text(r.contentText),
+      channelName: text(r.authorText),
+      channelRef: channelRef(r.authorEndpoint) || channelRef(r.authorText),
+    };
+  }
+
+  // Renderer key → reader returning the fields RuFilterDetector.shouldFilter scores
+  const READERS = {
+    videoRenderer: classicVideo('video'),
+    compactVideoRenderer: classicVideo('video'),
+    gridVideoRenderer: classicVideo('video'),
+    reelItemRenderer: classicVideo('short'),
+    playlistRenderer: classicVideo('playlist'),
+    radioRenderer: classicVideo('playlist'),
+    compactRadioRenderer: classicVideo('playlist'),
+    lockupViewModel: lockup,
+    shortsLockupViewModel: (r) => ({
+      kind: 'short',
+      videoId: r.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId || '',
+      title: text(r.overlayMetadata?.primaryText) || r.accessibilityText || '',
+    }),
+    channelRenderer: (r) => ({
+      kind: 'channel',
+      title: text(r.title),
+      channelName: text(r.title),
+      channelRef: r.navigationEndpoint?.browseEndpoint?.canonicalBaseUrl || r.channelId || '',
+      description: text(r.descriptionSnippet),
+    }),
+    postRenderer: post,
+    backstagePostRenderer: post,
+  };
+
+  // Containers that hold exactly one renderer; the container is what gets removed
+  const WRAPPERS = {
+    richItemRenderer: (w) => w.content,
+    backstagePostThreadRenderer: (w) => w.post,
+  };
+
+  /**
+   * Read a list entry as an item, or null if it isn't a recognised renderer.
+   */
+  function readEntry(entry) {
+    for (const [key, unwrap] of Object.entries(WRAPPERS)) {
+      if (entry[key]) return readEntry(unwrap(entry[key]) || {});
+    }
+    for (const [key, read] of Object.entries(READERS)) {
+      if (entry[key]) {
+        const item = read(entry[key]);
+        return item.title ? item : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all recognised items in a data tree.
+   * @returns {Array<{ list: Array, entry: Object, item: Object }>}
+   */
+  function collectItems(data) {
+    const found = [];
+    const walk = (value) => {
+      if (!value || typeof value !== 'object') return;
+      if (Array.isArray(value)) {
+        for (const entry of value) {
+          const item = entry && typeof entry === 'object' ? readEntry(entry) : null;
+          if (item) found.push({ list: value, entry, item });
+          else walk(entry);
+        }
+        return;
+      }
+      for (const child of Object.values(value)) walk(child);
+    };
+    walk(data);
+    return found;
+  }
+
+  // --- Talking to the content script ---
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || e.data?.source !== CONTENT_SOURCE) return;
+    if (e.data.type === 'CONFIG') {
+      active = e.data.active === true;
+      missedAnswers = 0;
+      if (deferredInitialData) {
+        const data = deferredInitialData;
+        deferredInitialData = null;
+        if (active) filterData(data, { endpoint: 'initial' }).catch(() => {});
+      }
+    } else if (e.data.type === 'FILTER_RESULT') {
+      const request = pending.get(e.data.requestId);
+      if (!request || !Array.isArray(e.data.blocked)) return;
+      const blocked = e.data.blocked.filter((index) => Number.isInteger(index) && index >= 0 && index < request.size);
+      request.resolve(blocked);
+    }
+  });
+
+  /**
+   * Ask the content script which items to drop.
+   * @returns {Promise<{ requestId: number, blocked: number[] }>} blocked: indexes
+   *   into items; empty on timeout
+   */
+  function requestDecisions(items, request) {
+    const requestId = nextRequestId++;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        // No content script answering → stop holding up every response
+        if (++missedAnswers >= MAX_MISSED_ANSWERS) active = false;
+        resolve({ requestId, blocked: [] });
+      }, REQUEST_TIMEOUT_MS);
+      pending.set(requestId, {
+        size: items.length,
+        resolve: (blocked) => {
+          clearTimeout(timer);
+          pending.delete(requestId);
+          missedAnswers = 0;
+          resolve({ requestId, blocked });
+        },
+      });
+      window.postMessage({ source: PAGE_SOURCE, type: 'FILTER_ITEMS', requestId, request, items }, location.origin);
+    });
+  }
+
+  /**
+   * Remove blocked items from a data tree in place.
+   * @returns {Promise<boolean>} true if anything was removed
+   */
+  async function filterData(data, request) {
+    if (active !== true) return false;
+    const found = collectItems(data);
+    if (found.length === 0) return false;
+
+    const { requestId, blocked } = await requestDecisions(found.map((f) => f.item), request);
+    const removed = [];
+    for (const index of blocked) {
+      const { list, entry } = found[index] || {};
+      const at = list ? list.indexOf(entry) : -1;
+      if (at !== -1) {
+        list.splice(at, 1);
+        removed.push(index);
+      }
+    }
+    if (removed.length > 0) {
+      window.postMessage({ source: PAGE_SOURCE, type: 'FILTER_APPLIED', requestId, removed }, location.origin);
+    }
+    return removed.length > 0;
+  }
+
+  // --- ytInitialData ---
+
+  let initialData;
+  // Initial data that arrived before the first CONFIG
+  let deferredInitialData = null;
+  try {
+    Object.defineProperty(window, 'ytInitialData', {
+      configurable: true,
+      get: () => initialData,
+      set: (value) => {
+        initialData = value;
+        if (!value || typeof value !== 'object') return;
+        if (active === null) deferredInitialData = value;
+        else filterData(value, { endpoint: 'initial' }).catch(() => {});
+      },
+    });
+  } catch {
+    // Already defined by the page — leave it to the DOM path
+  }
+
+  // --- fetch ---
+
+  function requestBody(init) {
+    if (typeof init?.body !== 'string') return null;
+    try {
+      return JSON.parse(init.body);
+    } catch {
+      return null;
+    }
+  }
+
+  const originalFetch = window.fetch;
+  window.fetch = async function (input, init) {
+    const response = await originalFetch.apply(this, arguments);
+    const url = typeof input === 'string' ? input : input?.url || '';
+    const match = API_PATTERN.exec(url);
+    if (!match || active !== true || !response.ok) return response;
+
+    try {
+      const body = requestBody(init);
+      const request = {
+        endpoint: match[1],
+        browseId: body?.browseId || '',
+        query: body?.query || '',
+        continuation: !!body?.continuation,
+      };
+      const data = await response.clone().json();
+      if (!(await filterData(data, request))) return response;
+      return new Response(JSON.stringify(data), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    } catch {
+      return response;
+    }
+  };
+})();
@@ -0,0 +1,196 @@
+/**
+ * Filtering for the player queue: playlist panel entries, end-screen tiles and the
+ * autoplay "Up next" card.
+ *
+ * These are not feed renderers, so the feed pipeline never sees them. This module
+ * extracts their metadata, asks the caller for a decision (the same shouldFilter
+ * and user lists as the feed), hides blocked entries, cancels autoplay into a
+ * blocked video, and skips ahead in a playlist when playback reaches a blocked entry.
+ *
+ * The player reuses end-screen and "Up next" elements for different videos, so items
+ * are marked with the video ID they were evaluated for rather than a boolean flag.
+ */
+const RuFilterPlayback = (() => {
+  const CHECKED_ATTR = 'data-ru-filter-video';
+
+  const ITEMS = [
+    {
+      kind: 'playlist-entry',
+      selector: 'ytd-playlist-panel-video-renderer',
+      title: ['#video-title'],
+      channel: ['#byline', 'ytd-channel-name #text'],
+      link: 'a#wc-endpoint, a#thumbnail',
+    },
+    {
+      kind: 'endscreen',
+      selector: '.ytp-videowall-still',
+      title: ['.ytp-videowall-still-info-title'],
+      channel: ['.ytp-videowall-still-info-author'],
+      link: null, // the tile itself is the link
+    },
+    {
+      kind: 'upnext',
+      selector: '.ytp-autonav-endscreen-upnext-container',
+      title: ['.ytp-autonav-endscreen-upnext-title'],
+      channel: ['.ytp-autonav-endscreen-upnext-author'],
+      link: 'a.ytp-autonav-endscreen-link-container, a[href*="/watch?"]',
+    },
+  ];
+
+  // All player-queue items, for callers watching the page for new ones
+  const SELECTORS = ITEMS.map((item) => item.selector).join(',');
+
+  // Video IDs of playlist entries found blocked, so skipping can pass over them
+  const blockedIds = new Set();
+
+  function readText(container, selectors) {
+    for (const sel of selectors) {
+      const el = container.querySelector(sel);
+      if (el) {
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+        if (text) return text;
+      }
+    }
+    return '';
+  }
+
+  function videoIdFromHref(href) {
+    if (!href) return '';
+    try {
+      return new URL(href, location.origin).searchParams.get('v') || '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Extract metadata from a player-queue item.
+   * @returns {Object|null} metadata in the shape of RuFilterExtractor.extractMetadata
+   */
+  function extractItem(element, item) {
+    const linkEl = item.link ? element.querySelector(item.link) : element;
+    const videoId = videoIdFromHref(linkEl?.getAttribute('href'));
+    const title = readText(element, item.title);
+    if (!videoId || !title) return null;
+
+    const channelLink = element.querySelector('a[href^="/@"], a[href^="/channel/"]');
+    return {
+      element,
+      kind: item.kind,
+      videoId,
+      surface: 'watch',
+      title,
+      channelName: RuFilterChannel.cleanName(readText(element, item.channel)),
+      channelId: channelLink ? RuFilterChannel.parse(channelLink.getAttribute('href')) : '',
+      description: '',
+      hashtags: [],
+      badges: [],
+      metadataLine: '',
+      uiLanguage: document.documentElement.lang || '',
+    };
+  }
+
+  /**
+   * Cancel the autoplay countdown on the end screen.
+   */
+  function cancelAutoplay() {
+    const cancel = document.querySelector('.ytp-autonav-endscreen-upnext-cancel-button');
+    if (cancel) cancel.click();
+  }
+
+  /**
+   * Evaluate all player-queue items that changed since the last scan.
+   *
+   * @param {(metadata: Object) => Promise<{ decision: string }>} decide
+   * @param {(metadata: Object, result: Object) => void} hide - hides a blocked item
+   * @returns {Promise<number>} number of items newly hidden
+   */
+  async function scan(decide, hide) {
+    let hiddenCount = 0;
+    for (const item of ITEMS) {
+      for (const element of document.querySelectorAll(item.selector)) {
+        const metadata = extractItem(element, item);
+        if (!metadata) continue;
+        if (element.getAttribute(CHECKED_ATTR) === metadata.videoId) continue;
+
+        // A reused element that now shows a different video starts out visible
+        if (element.hasAttribute(CHECKED_ATTR)) RuFilterActions.showVideo(element);
+        element.setAttribute(CHECKED_ATTR, metadata.videoId);
+
+        const result = await decide(metadata);
+        if (result.decision !== 'BLOCK') {
+          blockedIds.delete(metadata.videoId);
+          continue;
+        }
+
+        blockedIds.add(metadata.videoId);
+        if (item.kind === 'upnext') cancelAutoplay();
+        hide(metadata, result);
+        hiddenCount++;
+        console.log('[RuFilter] BLOCK', item.kind, '|', metadata.title.substring(0, 50), '|', metadata.channelName);
+      }
+    }
+    return hiddenCount;
+  }
+
+  /**
+   * Whether the current /watch page is playing from a playlist or mix.
+   */
+  function inPlaylist() {
+    return location.pathname === '/watch' && new URLSearchParams(location.search).has('list');
+  }
+
+  /**
+   * Jump to the next playlist entry that is not blocked.
+   * Falls back to the player's "next" button when the panel isn't rendered.
+   * @returns {boolean} true if a skip was started
+   */
+  function skipToNextAllowed(currentVideoId) {
+    const video = document.querySelector('video.html5-main-video');
+    if (video) video.pause();
+
+    const entries = [...document.querySelectorAll('ytd-playlist-panel-video-renderer')];
+    const currentIndex = entries.findIndex((el) => {
+      const link = el.querySelector('a#wc-endpoint, a#thumbnail');
+      return videoIdFromHref(link?.getAttribute('href')) === currentVideoId;
+    });
+    if (currentIndex !== -1) {
+      for (const el of entries.slice(currentIndex + 1)) {
+        const link = el.querySelector('a#wc-endpoint, a#thumbnail');
+        const videoId = videoIdFromHref(link?.getAttribute('href'));
+        if (videoId && !blockedIds.has(videoId)) {
+          link.click();
+          return true;
+        }
+      }
+      // Every remaining entry is blocked
+      return false;
+    }
+
+    const next = document.querySelector('.ytp-next-button');
+    if (next && next.getAttribute('aria-disabled') !== 'true') {
+      next.click();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Show hidden items and forget all evaluations (e.g., after a list or settings change).
+   */
+  function resetMarkers() {
+    blockedIds.clear();
+    for (const el of document.querySelectorAll(`[${CHECKED_ATTR}]`)) {
+      el.removeAttribute(CHECKED_ATTR);
+      if (el.hasAttribute(RuFilterActions.HIDDEN_ATTR)) RuFilterActions.showVideo(el);
+    }
+  }
+
+  return {
+    SELECTORS,
+    scan,
+    inPlaylist,
+    skipToNextAllowed,
+    resetMarkers,
+  };
+})();
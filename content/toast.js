@@ -0,0 +1,109 @@
+/**
+ * In-page toast for context-menu actions.
+ *
+ * One toast at a time at the bottom of the page: a short message, optionally an
+ * action button (e.g. "Undo"), dismissed after a few seconds or when the next
+ * one is shown. Errors are styled differently and stay up a little longer.
+ */
+const RuFilterToast = (() => {
+  const TOAST_ID = 'ru-filter-toast';
+  const DURATION_MS = 6000;
+  const ERROR_DURATION_MS = 9000;
+
+  let toast = null;
+  let dismissTimer = null;
+  let styleInjected = false;
+
+  function ensureStyleInjected() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = `
+      #${TOAST_ID} {
+        position: fixed;
+        left: 24px;
+        bottom: 24px;
+        z-index: 2400;
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        max-width: min(560px, calc(100vw - 48px));
+        padding: 12px 16px;
+        border-radius: 8px;
+        background: #0f0f0f;
+        color: #fff;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+        font: 14px/1.4 Roboto, Arial, sans-serif;
+      }
+      #${TOAST_ID}.error { background: #b3261e; }
+      #${TOAST_ID} span { flex: 1; word-break: break-word; }
+      #${TOAST_ID} button {
+        padding: 6px 12px;
+        border: none;
+        border-radius: 16px;
+        background: transparent;
+        color: #3ea6ff;
+        font: inherit;
+        font-weight: 500;
+        cursor: pointer;
+      }
+      #${TOAST_ID}.error button { color: #fff; }
+      #${TOAST_ID} button:hover { background: rgba(255, 255, 255, 0.1); }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+    styleInjected = true;
+  }
+
+  /**
+   * Show a toast, replacing the current one.
+   * @param {string} message
+   * @param {{
+   *   actionLabel?: string,
+   *   onAction?: Function,
+   *   error?: boolean,
+   * }} [options] - onAction runs after the toast has been dismissed
+   */
+  function show(message, { actionLabel = '', onAction = null, error = false } = {}) {
+    ensureStyleInjected();
+    dismiss();
+
+    toast = document.createElement('div');
+    toast.id = TOAST_ID;
+    toast.setAttribute('role', error ? 'alert' : 'status');
+    if (error) toast.className = 'error';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (actionLabel && onAction) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = actionLabel;
+      btn.addEventListener('click', () => {
+        dismiss();
+        onAction();
+      });
+      toast.appendChild(btn);
+    }
+
+    document.body.appendChild(toast);
+    dismissTimer = setTimeout(dismiss, error ? ERROR_DURATION_MS : DURATION_MS);
+  }
+
+  /**
+   * Remove the toast, if shown.
+   */
+  function dismiss() {
+    clearTimeout(dismissTimer);
+    dismissTimer = null;
+    if (toast) {
+      toast.remove();
+      toast = null;
+    }
+  }
+
+  return {
+    show,
+    dismiss,
+  };
+})();
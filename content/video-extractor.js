@@ -1,102 +1,374 @@
 /**
- * Extracts video metadata (title, channel name) from YouTube DOM elements.
+ * Extracts video metadata (title, channel name, channel ID) from YouTube DOM elements.
  *
- * Handles different page types:
- * - Home feed:  ytd-rich-item-renderer
- * - Search:     ytd-video-renderer
- * - Shorts:     ytd-reel-item-renderer
- * - Sidebar:    ytd-compact-video-renderer
+ * Every tile type YouTube renders is described by an entry in RENDERERS: how to
+ * find its title and channel, and which surface it belongs to. The element
+ * matched by an entry is the container that gets hidden.
+ *
+ * Wrapper renderers (ytd-rich-item-renderer in the home and subscriptions grids)
+ * hold one tile of another type — a video, lockup, Short or community post. The
+ * wrapper is hidden, but its content is read using the inner renderer's entry.
+ * A renderer nested inside another registered renderer is never processed on
+ * its own.
  */
 const RuFilterExtractor = (() => {
-  const VIDEO_SELECTORS = [
-    'ytd-rich-item-renderer',
-    'ytd-video-renderer',
-    'ytd-reel-item-renderer',
-    'ytd-compact-video-renderer',
-  ].join(',');
+  // Title and channel selectors that work for the classic ytd-*-renderer tiles
+  const DEFAULT_TITLE = ['#video-title', 'h3 a#video-title-link', '.title'];
+  const DEFAULT_CHANNEL = [
+    'ytd-channel-name #text',
+    'ytd-channel-name yt-formatted-string',
+    '#channel-name #text',
+    '#channel-name yt-formatted-string',
+    '.ytd-channel-name',
+    '#text.ytd-channel-name',
+    '#byline a',
+    '#byline',
+  ];
+  const LOCKUP_TITLE = [
+    '.yt-lockup-metadata-view-model-wiz__title',
+    '.yt-lockup-metadata-view-model__title',
+    'h3 a',
+    'h3',
+  ];
+  const LOCKUP_CHANNEL = [
+    '.yt-content-metadata-view-model-wiz__metadata-row a[href^="/@"]',
+    '.yt-content-metadata-view-model__metadata-row a[href^="/@"]',
+    '.yt-content-metadata-view-model-wiz__metadata-row',
+    '.yt-content-metadata-view-model__metadata-row',
+  ];
+  const SHORTS_TITLE = ['.shortsLockupViewModelHostOutsideMetadataTitle span', 'h3', 'a[title]'];
+  const POST_TITLE = ['#content-text', '#home-content-text', '#post-text'];
+  const POST_CHANNEL = ['#author-text', '#author a'];
+
+  /**
+   * Registry of tile renderers.
+   *
+   * selector: tag(s) the entry matches
+   * kind:     what the tile shows ("video", "playlist", "channel", "short", "post")
+   * title:    selectors tried in order for the title (text, then aria-label/title attribute)
+   * channel:  selectors tried in order for the channel name
+   * surface:  fixed surface for the tile, overriding the page's (Shorts tiles)
+   * wrapper:  the tile's content is another registered renderer (see header comment)
+   */
+  const RENDERERS = [
+    { selector: 'ytd-rich-item-renderer', kind: 'video', wrapper: true },
+    { selector: 'ytd-video-renderer', kind: 'video' },
+    { selector: 'ytd-compact-video-renderer', kind: 'video' },
+    { selector: 'ytd-grid-video-renderer', kind: 'video' },
+    { selector: 'ytd-rich-grid-media', kind: 'video' },
+    { selector: 'ytd-playlist-renderer', kind: 'playlist' },
+    { selector: 'ytd-radio-renderer', kind: 'playlist' },
+    { selector: 'ytd-compact-playlist-renderer', kind: 'playlist' },
+    { selector: 'ytd-compact-radio-renderer', kind: 'playlist' },
+    {
+      selector: 'ytd-channel-renderer',
+      kind: 'channel',
+      title: ['#channel-title #text', '#channel-title', 'ytd-channel-name #text'],
+      channel: ['#channel-title #text', '#channel-title', 'ytd-channel-name #text'],
+    },
+    { selector: 'ytd-reel-item-renderer', kind: 'short', surface: 'shorts', title: [...DEFAULT_TITLE, ...SHORTS_TITLE] },
+    {
+      selector: 'ytm-shorts-lockup-view-model, ytm-shorts-lockup-view-model-v2',
+      kind: 'short',
+      surface: 'shorts',
+      title: SHORTS_TITLE,
+      channel: [],
+    },
+    { selector: 'yt-lockup-view-model', kind: 'video', title: LOCKUP_TITLE, channel: LOCKUP_CHANNEL },
+    { selector: 'ytd-post-renderer', kind: 'post', title: POST_TITLE, channel: POST_CHANNEL },
+    { selector: 'ytd-backstage-post-thread-renderer', kind: 'post', title: POST_TITLE, channel: POST_CHANNEL },
+  ];
+
+  // Shelves whose tiles are Shorts (search results, channel home)
+  const SHORTS_SHELVES = 'ytd-reel-shelf-renderer, ytd-rich-shelf-renderer[is-shorts]';
+
+  const VIDEO_SELECTORS = RENDERERS.map((entry) => entry.selector).join(',');
 
   const PROCESSED_ATTR = 'data-ru-filter-checked';
 
+  // Where a video tile is shown. Settings such as hide modes are chosen per surface.
+  const SURFACES = ['home', 'search', 'shorts', 'watch', 'subscriptions', 'channel', 'history'];
+
+  function entryFor(element) {
+    return RENDERERS.find((entry) => element.matches(entry.selector)) || null;
+  }
+
+  /**
+   * The renderer entry and element to read a container's content from.
+   * For a wrapper this is the first registered renderer inside it (or the
+   * wrapper itself with the default selectors while its content is still loading).
+   * @returns {{ entry: Object, element: Element }}
+   */
+  function resolve(container) {
+    const entry = entryFor(container) || { kind: 'video' };
+    if (!entry.wrapper) return { entry, element: container };
+    for (const inner of RENDERERS) {
+      if (inner.wrapper) continue;
+      const element = container.querySelector(inner.selector);
+      if (element) return { entry: inner, element };
+    }
+    return { entry: { kind: 'video', title: [...DEFAULT_TITLE, ...SHORTS_TITLE] }, element: container };
+  }
+
   /**
-   * Find all unprocessed video container elements on the page.
+   * Find all unprocessed video container elements in a part of the page.
+   * Renderers nested inside another registered renderer are left to the outer one.
+   * @param {ParentNode} [root] - defaults to the whole document
    * @returns {Element[]}
    */
-  function findUnprocessedVideos() {
-    const all = document.querySelectorAll(VIDEO_SELECTORS);
+  function findUnprocessedVideos(root = document) {
+    const all = root.querySelectorAll(VIDEO_SELECTORS);
     const unprocessed = [];
     for (const el of all) {
-      if (!el.hasAttribute(PROCESSED_ATTR)) {
-        unprocessed.push(el);
-      }
+      if (el.hasAttribute(PROCESSED_ATTR)) continue;
+      if (el.parentElement?.closest(VIDEO_SELECTORS)) continue;
+      unprocessed.push(el);
     }
     return unprocessed;
   }
 
   /**
-   * Extract title text from a video container.
+   * The video container a node belongs to: the outermost registered renderer
+   * that is the node or contains it.
+   * @param {Node} node
+   * @returns {Element|null}
    */
-  function extractTitle(container) {
-    // Primary: #video-title (works for most video types)
-    const titleEl =
-      container.querySelector('#video-title') ||
-      container.querySelector('h3 a#video-title-link') ||
-      container.querySelector('.title');
-    if (titleEl) {
-      const text = titleEl.textContent.trim();
-      if (text) return text;
-      // aria-label / title attribute fallbacks (works even when text is in shadow DOM)
-      const ariaLabel = titleEl.getAttribute('aria-label');
-      if (ariaLabel) return ariaLabel.trim();
-      const titleAttr = titleEl.getAttribute('title');
-      if (titleAttr) return titleAttr.trim();
+  function containerOf(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    let container = element?.closest(VIDEO_SELECTORS) || null;
+    let outer;
+    while ((outer = container?.parentElement?.closest(VIDEO_SELECTORS))) container = outer;
+    return container;
+  }
+
+  /**
+   * Surface of the current page, from the URL alone.
+   * @returns {"home"|"search"|"shorts"|"watch"|"subscriptions"|"channel"|"history"}
+   */
+  function getPageSurface() {
+    const path = location.pathname;
+    if (path === '/results') return 'search';
+    if (path === '/watch') return 'watch';
+    if (path.startsWith('/shorts')) return 'shorts';
+    if (path.startsWith('/feed/subscriptions')) return 'subscriptions';
+    if (path.startsWith('/feed/history')) return 'history';
+    if (path.startsWith('/@') ||
+        path.startsWith('/channel/') ||
+        path.startsWith('/c/') ||
+        path.startsWith('/user/')) return 'channel';
+    return 'home';
+  }
+
+  /**
+   * Surface a video container belongs to. Shorts tiles in the home feed or search
+   * results count as "shorts"; everything else follows the page.
+   */
+  function getSurface(container) {
+    const page = getPageSurface();
+    if (page === 'channel' || page === 'history' || page === 'shorts') return page;
+    const { entry } = resolve(container);
+    if (entry.surface) return entry.surface;
+    if (container.closest(SHORTS_SHELVES) ||
+        container.querySelector('a[href^="/shorts/"]')) return 'shorts';
+    return page;
+  }
+
+  /**
+   * Extract the video ID from the tile's watch or Shorts link.
+   * @returns {string} empty string if no link is rendered yet
+   */
+  function extractVideoId(container) {
+    const link = container.querySelector('a[href*="/watch?"], a[href^="/shorts/"]');
+    if (!link) return '';
+    try {
+      const url = new URL(link.getAttribute('href'), location.origin);
+      if (url.pathname.startsWith('/shorts/')) return url.pathname.split('/')[2] || '';
+      return url.searchParams.get('v') || '';
+    } catch {
+      return '';
     }
-    // Shorts fallback: look for the overlay title
-    const shortsTitle = container.querySelector('.shortsLockupViewModelHostOutsideMetadataTitle span');
-    if (shortsTitle) return shortsTitle.textContent.trim();
+  }
 
-    // Another Shorts fallback
-    const reelTitle = container.querySelector('h3');
-    if (reelTitle) return reelTitle.textContent.trim();
+  /**
+   * What a tile shows. Lockups are also used for playlists and mixes, which
+   * link to their first video with a "list" parameter.
+   * @returns {"video"|"playlist"|"channel"|"short"|"post"}
+   */
+  function extractKind(container) {
+    const { kind } = resolve(container).entry;
+    if (kind !== 'video') return kind;
+    const link = container.querySelector('a[href*="/watch?"]');
+    return /[?&]list=/.test(link?.getAttribute('href') || '') ? 'playlist' : kind;
+  }
 
+  /**
+   * Text of the first matching element with any text; for the title, an
+   * aria-label or title attribute also counts (works even when the text is in
+   * shadow DOM or not rendered yet).
+   */
+  function readFirst(element, selectors, { attributes = false } = {}) {
+    for (const sel of selectors) {
+      const el = element.querySelector(sel);
+      if (!el) continue;
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      if (text) return text;
+      if (attributes) {
+        const label = el.getAttribute('aria-label') || el.getAttribute('title');
+        if (label) return label.trim();
+      }
+    }
     return '';
   }
 
+  /**
+   * Extract title text from a video container.
+   */
+  function extractTitle(container) {
+    const { entry, element } = resolve(container);
+    return readFirst(element, entry.title || DEFAULT_TITLE, { attributes: true });
+  }
+
   /**
    * Extract channel name from a video container.
+   * Bylines may include "• 1.2M views", which cleanName strips.
    */
   function extractChannelName(container) {
-    // Try multiple selectors as YouTube's DOM varies by page type
+    const { entry, element } = resolve(container);
+    for (const sel of entry.channel || DEFAULT_CHANNEL) {
+      const el = element.querySelector(sel);
+      if (el) {
+        const text = RuFilterChannel.cleanName(el.textContent);
+        if (text) return text;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Extract the stable channel ID ("@handle" or "UC…") from the channel link.
+   * @returns {string} empty string if no channel link is rendered yet
+   */
+  function extractChannelId(container) {
+    const selectors = [
+      'ytd-channel-name a[href]',
+      '#channel-name a[href]',
+      'a#avatar-link[href]',
+      'a#channel-thumbnail[href]',
+      'a#main-link[href]',
+      'a#author-text[href]',
+      '#byline a[href]',
+      'a[href^="/@"]',
+      'a[href^="/channel/"]',
+    ];
+    for (const sel of selectors) {
+      const links = container.querySelectorAll(sel);
+      for (const link of links) {
+        const id = RuFilterChannel.parse(link.getAttribute('href'));
+        if (id) return id;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Read-only channel extraction (does not mark the container as processed).
+   * @returns {{ id: string, name: string }}
+   */
+  function extractChannel(container) {
+    return {
+      id: extractChannelId(container),
+      name: extractChannelName(container),
+    };
+  }
+
+  /**
+   * Collect the unique, non-empty text of all elements matching a selector.
+   */
+  function collectTexts(container, selector) {
+    const texts = [];
+    for (const el of container.querySelectorAll(selector)) {
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      if (text && !texts.includes(text)) texts.push(text);
+    }
+    return texts;
+  }
+
+  /**
+   * Extract the description snippet (search results and some feed layouts).
+   */
+  function extractDescription(container) {
     const selectors = [
-      'ytd-channel-name #text',
-      'ytd-channel-name yt-formatted-string',
-      '#channel-name #text',
-      '#channel-name yt-formatted-string',
-      '.ytd-channel-name',
-      '#text.ytd-channel-name',
+      '#description-text',
+      '.metadata-snippet-text',
+      '#description',
+      '.yt-lockup-metadata-view-model-wiz__description',
     ];
     for (const sel of selectors) {
       const el = container.querySelector(sel);
       if (el) {
-        const text = el.textContent.trim();
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
         if (text) return text;
       }
     }
-    // Fallback: look for the byline
-    const byline = container.querySelector('#byline a, #byline');
-    if (byline) {
-      const text = byline.textContent.trim();
-      if (text) return text;
-    }
     return '';
   }
 
+  /**
+   * Extract linked hashtags (without the leading "#").
+   */
+  function extractHashtags(container) {
+    return collectTexts(container, 'a[href^="/hashtag/"]')
+      .map((tag) => tag.replace(/^#/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Extract badge labels ("Новое", "Нове", "СУБТИТРЫ", …).
+   */
+  function extractBadges(container) {
+    return collectTexts(container, [
+      'ytd-badge-supported-renderer .badge',
+      '.badge-shape-wiz__text',
+    ].join(','));
+  }
+
+  /**
+   * Extract the metadata line ("1,2 тыс. просмотров • 3 дня назад").
+   * YouTube renders it in the viewer's UI language or the uploader's language.
+   */
+  function extractMetadataLine(container) {
+    return collectTexts(container, [
+      '#metadata-line span',
+      '.inline-metadata-item',
+      '.yt-content-metadata-view-model-wiz__metadata-text',
+    ].join(',')).join(' • ');
+  }
+
   /**
    * Extract metadata from a video container element.
-   * @returns {{ element: Element, title: string, channelName: string } | null}
+   *
+   * Besides title and channel, collects the secondary signals used by the weighted
+   * scoring in RuFilterDetector.shouldFilter, plus the page's UI language (so the
+   * metadata line can be discounted when it merely reflects the viewer's locale).
+   *
+   * @returns {{
+   *   element: Element,
+   *   kind: "video"|"playlist"|"channel"|"short"|"post",
+   *   videoId: string,
+   *   surface: string,
+   *   title: string,
+   *   channelName: string,
+   *   channelId: string,
+   *   description: string,
+   *   hashtags: string[],
+   *   badges: string[],
+   *   metadataLine: string,
+   *   uiLanguage: string,
+   * } | null}
    */
   function extractMetadata(container) {
     const title = extractTitle(container);
-    const channelName = extractChannelName(container);
+    const { id: channelId, name: channelName } = extractChannel(container);
 
     // Need at least a title to make a detection decision.
     // Do NOT mark as processed if title is missing — YouTube may still be
@@ -104,13 +376,35 @@ const RuFilterExtractor = (() => {
     if (!title) return null;
 
     container.setAttribute(PROCESSED_ATTR, 'true');
-    return { element: container, title, channelName };
+    return {
+      element: container,
+      kind: extractKind(container),
+      videoId: extractVideoId(container),
+      surface: getSurface(container),
+      title,
+      channelName,
+      channelId,
+      description: extractDescription(container),
+      hashtags: extractHashtags(container),
+      badges: extractBadges(container),
+      metadataLine: extractMetadataLine(container),
+      uiLanguage: document.documentElement.lang || '',
+    };
   }
 
   return {
+    RENDERERS,
     VIDEO_SELECTORS,
     PROCESSED_ATTR,
+    SURFACES,
     findUnprocessedVideos,
+    containerOf,
+    getPageSurface,
+    getSurface,
+    extractKind,
+    extractVideoId,
+    extractTitle,
+    extractChannel,
     extractMetadata,
   };
 })();
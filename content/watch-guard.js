@@ -0,0 +1,287 @@
+/**
+ * Watch-page interstitial.
+ *
+ * Feed filtering never sees a video that was opened directly (external link,
+ * notification, autoplay). On /watch pages the content script reads the main
+ * video's metadata, and when it would be blocked this module pauses playback
+ * and covers the page with an overlay offering "Go back", "Play anyway" and
+ * "Whitelist channel".
+ *
+ * The decision itself is made by the caller (main.js); this module only reads
+ * the page and owns the overlay.
+ */
+const RuFilterWatchGuard = (() => {
+  const OVERLAY_ID = 'ru-filter-interstitial';
+  const READY_ATTEMPTS = 20;
+  const READY_INTERVAL_MS = 250;
+
+  let overlay = null;
+  let guardedVideo = null;
+  let styleInjected = false;
+
+  /**
+   * Video ID of the current /watch page, or "" elsewhere.
+   */
+  function currentVideoId() {
+    if (location.pathname !== '/watch') return '';
+    return new URLSearchParams(location.search).get('v') || '';
+  }
+
+  function readText(selectors) {
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      if (el) {
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+        if (text) return text;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Title of the main video as rendered (may still be the previous video's
+   * right after a navigation; see extractWatchMetadata).
+   */
+  function readTitle() {
+    return readText([
+      'ytd-watch-metadata h1 yt-formatted-string',
+      'ytd-watch-metadata h1',
+      '#title h1',
+    ]);
+  }
+
+  /**
+   * Channel of the main video, from the owner row under the player.
+   * @returns {{ id: string, name: string }}
+   */
+  function readChannel() {
+    const link = document.querySelector(
+      'ytd-watch-metadata ytd-channel-name a[href], #owner ytd-channel-name a[href], ytd-video-owner-renderer a[href]'
+    );
+    return {
+      id: link ? RuFilterChannel.parse(link.getAttribute('href')) : '',
+      name: RuFilterChannel.cleanName(readText([
+        'ytd-watch-metadata ytd-channel-name #text',
+        '#owner ytd-channel-name #text',
+        'ytd-video-owner-renderer ytd-channel-name',
+      ])),
+    };
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Read the main video's metadata once YouTube has rendered it.
+   *
+   * After an SPA navigation the previous video's title can linger for a moment,
+   * so we wait until ytd-watch-flexy reports the new video ID.
+   *
+   * @returns {Promise<Object|null>} metadata in the shape of RuFilterExtractor.extractMetadata
+   *   (without element), or null if the page changed or never became ready
+   */
+  async function extractWatchMetadata(videoId) {
+    for (let i = 0; i < READY_ATTEMPTS; i++) {
+      if (currentVideoId() !== videoId) return null;
+      const flexy = document.querySelector('ytd-watch-flexy');
+      const title = readTitle();
+      if (flexy && flexy.getAttribute('video-id') === videoId && title) {
+        const channel = readChannel();
+        return {
+          videoId,
+          surface: 'watch',
+          title,
+          channelName: channel.name,
+          channelId: channel.id,
+          description: readText([
+            'ytd-watch-metadata #description-inline-expander #snippet',
+            'ytd-watch-metadata #description-inline-expander',
+          ]).slice(0, 500),
+          hashtags: [...document.querySelectorAll('ytd-watch-metadata a[href^="/hashtag/"]')]
+            .map((a) => a.textContent.trim().replace(/^#/, ''))
+            .filter(Boolean),
+          badges: [],
+          metadataLine: readText(['ytd-watch-metadata #info']),
+          uiLanguage: document.documentElement.lang || '',
+        };
+      }
+      await sleep(READY_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  function getPlayerVideo() {
+    return document.querySelector('video.html5-main-video') || document.querySelector('#movie_player video');
+  }
+
+  // Keep the player paused for as long as the overlay is up (YouTube autoplays
+  // once the player finishes loading, possibly after we paused it).
+  function pauseWhileShown(e) {
+    if (overlay) e.target.pause();
+  }
+
+  function holdPlayback() {
+    const video = getPlayerVideo();
+    if (!video) return;
+    video.pause();
+    if (guardedVideo !== video) {
+      releasePlayback();
+      video.addEventListener('play', pauseWhileShown);
+      guardedVideo = video;
+    }
+  }
+
+  function releasePlayback() {
+    if (guardedVideo) {
+      guardedVideo.removeEventListener('play', pauseWhileShown);
+      guardedVideo = null;
+    }
+  }
+
+  function ensureStyleInjected() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = `
+      #${OVERLAY_ID} {
+        position: fixed;
+        inset: 0;
+        z-index: 2300;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.85);
+        font: 14px/1.5 Roboto, Arial, sans-serif;
+      }
+      #${OVERLAY_ID} .ru-filter-interstitial-card {
+        max-width: 440px;
+        padding: 24px;
+        border-radius: 12px;
+        background: var(--yt-spec-base-background, #fff);
+        color: var(--yt-spec-text-primary, #0f0f0f);
+        text-align: center;
+      }
+      #${OVERLAY_ID} h2 { margin: 0 0 8px; font-size: 18px; }
+      #${OVERLAY_ID} p { margin: 0 0 4px; color: var(--yt-spec-text-secondary, #606060); word-break: break-word; }
+      #${OVERLAY_ID} .ru-filter-interstitial-actions {
+        display: flex;
+        gap: 8px;
+        justify-content: center;
+        flex-wrap: wrap;
+        margin-top: 16px;
+      }
+      #${OVERLAY_ID} button {
+        padding: 8px 16px;
+        border: none;
+        border-radius: 18px;
+        background: var(--yt-spec-badge-chip-background, #f2f2f2);
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+      #${OVERLAY_ID} button.primary { background: #065fd4; color: #fff; }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+    styleInjected = true;
+  }
+
+  /**
+   * Pause playback and show the interstitial.
+   * @param {{
+   *   title: string,
+   *   channelName: string,
+   *   label: string,
+   *   onBack: Function,
+   *   onPlay: Function,
+   *   onWhitelist: Function,
+   * }} options - the callbacks run after the overlay has been removed
+   */
+  function show({ title, channelName, label, onBack, onPlay, onWhitelist }) {
+    ensureStyleInjected();
+    hide();
+
+    overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+
+    const card = document.createElement('div');
+    card.className = 'ru-filter-interstitial-card';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'RuFilter paused this video';
+    card.appendChild(heading);
+
+    for (const line of [label && `Reason: ${label}`, title, channelName]) {
+      if (!line) continue;
+      const p = document.createElement('p');
+      p.textContent = line;
+      card.appendChild(p);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'ru-filter-interstitial-actions';
+    const buttons = [
+      ['Go back', onBack, 'primary'],
+      ['Play anyway', onPlay, ''],
+      ['Whitelist channel', onWhitelist, ''],
+    ];
+    for (const [caption, callback, className] of buttons) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = caption;
+      if (className) btn.className = className;
+      btn.addEventListener('click', () => {
+        hide();
+        callback();
+      });
+      actions.appendChild(btn);
+    }
+    card.appendChild(actions);
+
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    holdPlayback();
+  }
+
+  /**
+   * Remove the interstitial (if shown) and stop holding playback.
+   */
+  function hide() {
+    if (overlay) {
+      overlay.remove();
+      overlay = null;
+    }
+    releasePlayback();
+  }
+
+  function isShown() {
+    return overlay !== null;
+  }
+
+  /**
+   * Resume playback of the main video.
+   */
+  function play() {
+    const video = getPlayerVideo();
+    if (video) video.play().catch(() => {});
+  }
+
+  /**
+   * Leave the video: back in history, or to the home page if it was opened directly.
+   */
+  function goBack() {
+    if (history.length > 1) history.back();
+    else location.assign('/');
+  }
+
+  return {
+    currentVideoId,
+    readTitle,
+    readChannel,
+    extractWatchMetadata,
+    show,
+    hide,
+    isShown,
+    play,
+    goBack,
+  };
+})();
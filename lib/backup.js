@@ -0,0 +1,369 @@
+/**
+ * Export and import of everything the user has set up: settings, channel lists,
+ * per-video overrides, keyword rules, shared list subscriptions and stats.
+ *
+ * A backup is a versioned JSON document:
+ *   { format: "rufilter-backup", version: 1, exportedAt, settings, whitelist,
+ *     blocklist, videoOverrides, rules, subscriptions, stats }
+ * Every part but format and version is optional, so a hand-written starter
+ * blocklist is a valid backup too.
+ *
+ * Imports are checked against SCHEMA before anything else happens, then planned
+ * (planImport) so the preview shows exactly what will be written.
+ *
+ * Depends on RuFilterChannel, RuFilterStorage, RuFilterRules and RuFilterSubscriptions.
+ */
+const RuFilterBackup = (() => {
+  const FORMAT = 'rufilter-backup';
+  const VERSION = 1;
+
+  // --- Schema ---
+  //
+  // A small subset of JSON Schema: type, const, enum, minimum, maximum,
+  // properties (unknown keys are dropped), values (schema for every value of a
+  // map), items, oneOf and check (a function returning an error or null).
+
+  const UNIT = { type: 'number', minimum: 0, maximum: 1 };
+
+  const LIST = {
+    type: 'object',
+    check: (list) => (Object.keys(list).some((key) => !key.trim()) ? 'empty channel key' : null),
+    values: {
+      oneOf: [
+        { const: true },
+        { type: 'object', properties: { name: { type: 'string' } } },
+      ],
+    },
+  };
+
+  const SETTINGS = {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      protectedLanguages: { type: 'array', items: { type: 'string' } },
+      filteredLanguages: { type: 'array', items: { type: 'string' } },
+      detectTransliteration: { type: 'boolean' },
+      sensitivity: { enum: ['strict', 'balanced', 'lenient', 'custom'] },
+      blockThreshold: { type: 'number', minimum: 0, maximum: 5 },
+      watchInterstitial: { type: 'boolean' },
+      skipInPlayback: { type: 'boolean' },
+      filterBeforeRender: { type: 'boolean' },
+      filterComments: { type: 'boolean' },
+      commentThreshold: UNIT,
+      detectionThresholds: {
+        type: 'object',
+        properties: {
+          ngramProtectedMin: UNIT,
+          ngramFilteredMin: UNIT,
+          ngramOtherMin: UNIT,
+          cldMinConfidence: UNIT,
+          cldRequireReliable: { type: 'boolean' },
+          queryMinConfidence: UNIT,
+        },
+      },
+      hideModes: { type: 'object', values: { enum: ['remove', 'blur', 'placeholder'] } },
+      surfacePolicies: { type: 'object', values: { enum: ['filter', 'blocklist', 'off'] } },
+      russianQueryBypass: { type: 'boolean' },
+    },
+  };
+
+  const SCHEMA = {
+    type: 'object',
+    properties: {
+      format: { const: FORMAT },
+      version: { type: 'number', minimum: 1, maximum: VERSION },
+      exportedAt: { type: 'string' },
+      settings: SETTINGS,
+      whitelist: LIST,
+      blocklist: LIST,
+      videoOverrides: {
+        type: 'object',
+        values: { type: 'object', properties: { action: { enum: ['allow', 'hide'] }, title: { type: 'string' } } },
+      },
+      rules: {
+        type: 'object',
+        values: {
+          type: 'object',
+          properties: {
+            action: { type: 'string' },
+            field: { type: 'string' },
+            match: { type: 'string' },
+            pattern: { type: 'string' },
+          },
+          check: (rule) => RuFilterRules.validate(rule),
+        },
+      },
+      subscriptions: {
+        type: 'object',
+        check: (subscriptions) => (Object.keys(subscriptions).every(RuFilterSubscriptions.isValidUrl)
+          ? null
+          : 'subscriptions must be keyed by http(s) URL'),
+        values: {
+          type: 'object',
+          properties: { type: { enum: ['allow', 'block'] }, addedAt: { type: 'number' } },
+        },
+      },
+      stats: {
+        type: 'object',
+        values: { type: 'number', minimum: 0 },
+      },
+    },
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema.
+   * @returns {{ value: *, errors: string[] }} value with unknown object keys removed
+   */
+  function check(value, schema, path) {
+    const errors = [];
+    const fail = (message) => ({ value, errors: [`${path || 'backup'}: ${message}`] });
+
+    if (schema.oneOf) {
+      for (const option of schema.oneOf) {
+        const result = check(value, option, path);
+        if (result.errors.length === 0) return result;
+      }
+      return fail('unexpected value');
+    }
+    if ('const' in schema && value !== schema.const) return fail(`expected ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`expected one of ${schema.enum.join(', ')}`);
+    if (schema.type && typeOf(value) !== schema.type) return fail(`expected ${schema.type}`);
+    if (schema.type === 'number' && !Number.isFinite(value)) return fail('expected a finite number');
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`above ${schema.maximum}`);
+
+    let result = value;
+    if (schema.items) {
+      result = value.map((item, i) => {
+        const inner = check(item, schema.items, `${path}[${i}]`);
+        errors.push(...inner.errors);
+        return inner.value;
+      });
+    }
+    if (schema.properties) {
+      result = {};
+      for (const [key, inner] of Object.entries(schema.properties)) {
+        if (!(key in value)) continue;
+        const checked = check(value[key], inner, path ? `${path}.${key}` : key);
+        errors.push(...checked.errors);
+        result[key] = checked.value;
+      }
+    }
+    if (schema.values) {
+      result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const checked = check(item, schema.values, `${path}["${key}"]`);
+        errors.push(...checked.errors);
+        result[key] = checked.value;
+      }
+    }
+    if (schema.check && errors.length === 0) {
+      const message = schema.check(result);
+      if (message) errors.push(`${path || 'backup'}: ${message}`);
+    }
+    return { value: result, errors };
+  }
+
+  /**
+   * Parse and validate a backup file's text.
+   * @returns {{ backup: Object|null, errors: string[] }} backup is null unless valid
+   */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { backup: null, errors: ['Not a JSON file: ' + err.message] };
+    }
+    if (typeOf(data) !== 'object' || data.format !== FORMAT) {
+      return { backup: null, errors: ['Not a YouTube RU Filter backup'] };
+    }
+    if (typeof data.version !== 'number') {
+      return { backup: null, errors: ['The backup has no version'] };
+    }
+    if (data.version > VERSION) {
+      return { backup: null, errors: ['This backup was made by a newer version of the extension'] };
+    }
+    const { value, errors } = check(data, SCHEMA, '');
+    return { backup: errors.length === 0 ? value : null, errors };
+  }
+
+  // --- Export ---
+
+  /**
+   * Everything the user has set up, as a backup document.
+   */
+  async function create() {
+    const [settings, whitelist, blocklist, videoOverrides, rules, subscriptions, stats] = await Promise.all([
+      RuFilterStorage.getSettings(),
+      RuFilterStorage.getWhitelist(),
+      RuFilterStorage.getBlocklist(),
+      RuFilterStorage.getVideoOverrides(),
+      RuFilterStorage.getRules(),
+      RuFilterStorage.getSubscriptions(),
+      RuFilterStorage.getStats(),
+    ]);
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      whitelist,
+      blocklist,
+      videoOverrides,
+      rules,
+      subscriptions,
+      stats,
+    };
+  }
+
+  // --- Import ---
+
+  function ruleSignature(rule) {
+    return [rule.action, rule.field, rule.match, rule.pattern].join('\n');
+  }
+
+  /**
+   * Work out what importing a backup would do.
+   *
+   * merge: imported entries are added to the current ones (an imported channel
+   *   moves out of the opposite list; duplicate rules are skipped); settings in
+   *   the file replace the current ones key by key; stats are kept.
+   * replace: the file's lists, rules and overrides replace the current ones; the
+   *   settings it has replace the current ones; stats are taken from the file.
+   *
+   * A channel in both of the file's lists is kept on the whitelist.
+   *
+   * @param {Object} backup - as returned by parse
+   * @param {Object} current - as returned by create
+   * @param {"merge"|"replace"} mode
+   * @returns {{
+   *   added: { whitelist: string[], blocklist: string[], rules: string[], videoOverrides: string[], subscriptions: string[] },
+   *   removed: { whitelist: string[], blocklist: string[], rules: string[], videoOverrides: string[], subscriptions: string[] },
+   *   conflicts: Array<{ key: string, label: string, kept: "whitelist"|"blocklist", reason: string }>,
+   *   settingsChanged: string[],
+   *   result: { sync: Object, local: Object },
+   * }} result is what apply() writes; keys in added/removed are list keys, rule
+   *   descriptions, video IDs and list URLs
+   */
+  function planImport(backup, current, mode) {
+    const replace = mode === 'replace';
+    const conflicts = [];
+
+    // Channel lists
+    const imported = { whitelist: { ...(backup.whitelist || {}) }, blocklist: { ...(backup.blocklist || {}) } };
+    for (const key of Object.keys(imported.whitelist)) {
+      if (!(key in imported.blocklist)) continue;
+      conflicts.push({
+        key,
+        label: RuFilterChannel.labelOf(key, imported.whitelist[key]),
+        kept: 'whitelist',
+        reason: 'in both lists in the file',
+      });
+      delete imported.blocklist[key];
+    }
+
+    const lists = replace
+      ? { whitelist: {}, blocklist: {} }
+      : { whitelist: { ...current.whitelist }, blocklist: { ...current.blocklist } };
+    for (const [listType, oppositeType] of [['whitelist', 'blocklist'], ['blocklist', 'whitelist']]) {
+      for (const [key, value] of Object.entries(imported[listType])) {
+        if (key in lists[oppositeType]) {
+          conflicts.push({
+            key,
+            label: RuFilterChannel.labelOf(key, value),
+            kept: listType,
+            reason: `currently on the ${oppositeType}`,
+          });
+          delete lists[oppositeType][key];
+        }
+        lists[listType][key] = value;
+      }
+    }
+
+    // Keyword rules, skipping ones the user already has
+    const rules = replace ? {} : { ...current.rules };
+    const known = new Set(Object.values(rules).map(ruleSignature));
+    for (const [id, rule] of Object.entries(backup.rules || {})) {
+      if (known.has(ruleSignature(rule))) continue;
+      known.add(ruleSignature(rule));
+      let freeId = id;
+      while (freeId in rules) freeId += '-1';
+      rules[freeId] = rule;
+    }
+
+    const videoOverrides = {
+      ...(replace ? {} : current.videoOverrides),
+      ...(backup.videoOverrides || {}),
+    };
+    const subscriptions = {
+      ...(replace ? {} : current.subscriptions),
+      ...(backup.subscriptions || {}),
+    };
+
+    const settings = RuFilterStorage.withDefaults({ ...current.settings, ...(backup.settings || {}) });
+    const settingsChanged = Object.keys(backup.settings || {})
+      .filter((key) => JSON.stringify(settings[key]) !== JSON.stringify(current.settings[key]));
+
+    const diff = (before, after) => ({
+      added: Object.keys(after).filter((key) => !(key in before)),
+      removed: Object.keys(before).filter((key) => !(key in after)),
+    });
+    const whitelistDiff = diff(current.whitelist, lists.whitelist);
+    const blocklistDiff = diff(current.blocklist, lists.blocklist);
+    const overridesDiff = diff(current.videoOverrides, videoOverrides);
+    const rulesDiff = diff(current.rules, rules);
+    const subscriptionsDiff = diff(current.subscriptions, subscriptions);
+    const describeRules = (ids, source) => ids.map((id) => RuFilterRules.describe(source[id]));
+
+    const local = {};
+    if (replace && backup.stats) local.stats = { ...RuFilterStorage.DEFAULT_STATS, ...backup.stats };
+
+    return {
+      added: {
+        whitelist: whitelistDiff.added,
+        blocklist: blocklistDiff.added,
+        rules: describeRules(rulesDiff.added, rules),
+        videoOverrides: overridesDiff.added,
+        subscriptions: subscriptionsDiff.added,
+      },
+      removed: {
+        whitelist: whitelistDiff.removed,
+        blocklist: blocklistDiff.removed,
+        rules: describeRules(rulesDiff.removed, current.rules),
+        videoOverrides: overridesDiff.removed,
+        subscriptions: subscriptionsDiff.removed,
+      },
+      conflicts,
+      settingsChanged,
+      result: {
+        sync: { settings, whitelist: lists.whitelist, blocklist: lists.blocklist, videoOverrides, rules, subscriptions },
+        local,
+      },
+    };
+  }
+
+  /**
+   * Write a planned import (through the service worker, see RuFilterStorage.importData).
+   * @returns {Promise<string[]>} names of the maps saved on this device only
+   */
+  async function apply(plan) {
+    return RuFilterStorage.importData(plan.result);
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    SCHEMA,
+    parse,
+    create,
+    planImport,
+    apply,
+  };
+})();
@@ -0,0 +1,133 @@
+/**
+ * Stable channel identity helpers shared by the content script, popup and service worker.
+ *
+ * Channels are identified by their @handle (lower-cased) or their /channel/UC… ID,
+ * never by the display name, which can change or collide between channels.
+ *
+ * List entry formats (whitelist / blocklist):
+ *   "@handle":  { name: "Display Name" }   — current format
+ *   "UCxxxx…":  { name: "Display Name" }   — current format (no handle known)
+ *   "Name":     true                       — legacy, migrated lazily when the channel is seen
+ */
+const RuFilterChannel = (() => {
+  const CHANNEL_ID = /^UC[\w-]{22}$/;
+  const HANDLE = /^@[\w.\-·\p{L}\p{N}]{3,100}$/u;
+
+  /**
+   * Normalize a channel reference into a list key.
+   * Accepts a full URL, a path ("/@name", "/channel/UC…"), a bare handle or a bare UC… ID.
+   * @returns {string} "@handle", "UC…" or "" when the input is not an identifier
+   */
+  function parse(input) {
+    if (!input) return '';
+    const value = String(input).trim();
+
+    if (CHANNEL_ID.test(value)) return value;
+    if (HANDLE.test(value)) return value.toLowerCase();
+
+    // Anything else must look like a YouTube URL or path
+    let path;
+    try {
+      if (value.startsWith('/')) {
+        path = value.split(/[?#]/)[0];
+      } else {
+        const withScheme = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+        const url = new URL(withScheme);
+        if (!/(^|\.)youtube\.com$/i.test(url.hostname)) return '';
+        path = url.pathname;
+      }
+    } catch {
+      return '';
+    }
+
+    let segments;
+    try {
+      segments = decodeURIComponent(path).split('/').filter(Boolean);
+    } catch {
+      segments = path.split('/').filter(Boolean);
+    }
+    if (segments.length === 0) return '';
+
+    if (segments[0].startsWith('@') && HANDLE.test(segments[0])) {
+      return segments[0].toLowerCase();
+    }
+    if (segments[0] === 'channel' && CHANNEL_ID.test(segments[1] || '')) {
+      return segments[1];
+    }
+    return '';
+  }
+
+  /**
+   * Whether a list key is a stable ID (as opposed to a legacy display-name key).
+   */
+  function isId(key) {
+    return CHANNEL_ID.test(key) || (key.startsWith('@') && HANDLE.test(key));
+  }
+
+  /**
+   * Clean up a scraped display name. Byline fallbacks can include the view count
+   * and upload date ("Name • 1.2M views"), which must never end up in a list.
+   */
+  function cleanName(text) {
+    if (!text) return '';
+    return text.split(/\s[•·]\s/)[0].replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build the list key for a channel: the ID when known, the display name otherwise.
+   * @param {{ id?: string, name?: string }} channel
+   */
+  function keyOf(channel) {
+    if (!channel) return '';
+    return channel.id || cleanName(channel.name);
+  }
+
+  /**
+   * Build the stored value for a channel entry.
+   */
+  function entryFor(channel) {
+    const name = cleanName(channel?.name);
+    if (!channel?.id) return true;
+    return name ? { name } : {};
+  }
+
+  /**
+   * Human-readable label for a list entry.
+   */
+  function labelOf(key, value) {
+    if (value && typeof value === 'object' && value.name) return value.name;
+    return key;
+  }
+
+  /**
+   * Look up a channel in a list.
+   *
+   * ID-keyed entries are matched first. A legacy name-keyed entry (value `true`)
+   * still matches on display name so existing lists keep working until migrated.
+   *
+   * @param {Object} list - whitelist or blocklist
+   * @param {{ id?: string, name?: string }} channel
+   * @returns {{ key: string, legacy: boolean } | null}
+   */
+  function findEntry(list, channel) {
+    if (!list || !channel) return null;
+    if (channel.id && list[channel.id]) {
+      return { key: channel.id, legacy: false };
+    }
+    const name = cleanName(channel.name);
+    if (name && list[name] && !isId(name)) {
+      return { key: name, legacy: true };
+    }
+    return null;
+  }
+
+  return {
+    parse,
+    isId,
+    cleanName,
+    keyOf,
+    entryFor,
+    labelOf,
+    findEntry,
+  };
+})();
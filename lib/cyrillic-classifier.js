@@ -0,0 +1,223 @@
+/**
+ * Offline classifier for Cyrillic-script languages.
+ *
+ * A small bundled model scores text against per-language profiles and returns
+ * per-language probabilities. It separates Russian from the other languages
+ * written in Cyrillic (Ukrainian, Belarusian, Bulgarian, Serbian, Macedonian,
+ * Kazakh and several Central Asian languages) when the text has none of the
+ * letters that give a language away on their own.
+ *
+ * Each profile contributes to a log-space score:
+ *   - prior:    how common the language is among Cyrillic YouTube titles
+ *   - alphabet: every Cyrillic letter outside the language's alphabet costs OUT_OF_ALPHABET
+ *   - letters:  letters that are characteristic of the language (per occurrence)
+ *   - words:    frequent whole words (function words and common title words)
+ *   - ngrams:   characteristic substrings; "_" marks a word boundary
+ *
+ * Scores are turned into probabilities with a softmax. Nothing leaves the browser.
+ */
+const RuFilterClassifier = (() => {
+  const MODEL_VERSION = 1;
+
+  const OUT_OF_ALPHABET = -5;
+  const LETTER_WEIGHT = 1.5;
+  const WORD_WEIGHT = 2.5;
+  const NGRAM_WEIGHT = 1;
+
+  const PROFILES = {
+    ru: {
+      prior: 0.5,
+      alphabet: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя',
+      letters: 'ыэё',
+      words: 'и в не на что как это с я он она по но для из от все всё так его её только или уже когда почему вот мы вы они был была было были будет очень можно нужно сегодня новости обзор самый самая лучший первый где если чтобы тоже даже меня тебя себя нас вас про этот эта эти этого какой какая сейчас здесь теперь просто почти после сделал сделать купил делать год года лет раз день дня нет да ещё еще',
+      ngrams: 'ый_ ое_ ая_ ую_ ие_ ого_ его_ ешь_ ение ений ости_ ость_ ал_ ил_ ел_ ял_ ов_ ей_ ых_ ым_ ыми_ ъе ъё ъя ъю ться_ тся_ ать_ ить_ еть_ _что_ _как_ _это_',
+    },
+    uk: {
+      prior: 0.2,
+      alphabet: "абвгґдеєжзиіїйклмнопрстуфхцчшщьюя'",
+      letters: "іїєґ'",
+      words: 'що як та це або коли чому дуже який яка яке які буде новини огляд мій моя зараз щоб але хто треба можна тому вже тут де ми ви вони наш ваш цей ця ці чи шо з від до про для на не у в й саме найкращий перший день дня року років раз так ні',
+      ngrams: 'ння_ ння ськ цьк ти_ ати_ ити_ ють_ ять_ ться_ ою_ ого_ ому_ ьо ав_ ив_ ий_ ої_ ів_ ення ання _що_ _як_ _та_ _це_',
+    },
+    be: {
+      prior: 0.03,
+      alphabet: "абвгдеёжзійклмнопрстуўфхцчшыьэюя'",
+      letters: "ўі'",
+      words: 'гэта што як ці але ад да для на не з у па яго яе усё сёння навіны беларусь мы вы яны таксама вельмі калі чаму трэба можна',
+      ngrams: 'дз ць цц шч ае_ ыя_ ага_ ая_ ую_ ўся ння',
+    },
+    bg: {
+      prior: 0.07,
+      alphabet: 'абвгдежзийклмнопрстуфхцчшщъьюя',
+      letters: 'ъ',
+      words: 'и на да се за от с не е в по това как които който която което са ще но към след още много нещо най беше със във какво защо днес тук има няма сме сте съм ли вече само тази този тези или новини',
+      ngrams: 'ът_ ъл ъп ъв ър ък ъм ъс ъд ата_ ото_ ите_ ия_ ване ето_ _ще_ _се_ ция',
+    },
+    sr: {
+      prior: 0.05,
+      alphabet: 'абвгдђежзијклљмнњопрстћуфхцчџш',
+      letters: 'ђћјљњџ',
+      words: 'је у да се на за не од са што како али све ово то сам смо ће шта зашто данас вести нови нова није био била мене јер кад онда после код овде или',
+      ngrams: 'ј ић_ ија_ ање_ ење_ _је_ _ће_',
+    },
+    mk: {
+      prior: 0.03,
+      alphabet: 'абвгдѓежзѕијклљмнњопрстќуфхцчџш',
+      letters: 'ѓќѕјљњџ',
+      words: 'и на се да во за не од со што ќе е ги го ја како но сите денес вести кој која нема има дека после сега многу само',
+      ngrams: 'ј ање_ ење_ _ќе_ _во_ _со_',
+    },
+    kk: {
+      prior: 0.04,
+      alphabet: 'аәбвгғдеёжзийкқлмнңоөпрстуұүфхһцчшщъыіьэюя',
+      letters: 'әғқңөұүһі',
+      words: 'және бұл мен бір да де үшін деп жаңа туралы емес бар жоқ қазақ қазақстан біз сіз олар кім не қалай',
+      ngrams: 'ұ ға_ ге_ қа_ ның_ нің_ дың_ дің_ лар_ лер_',
+    },
+    ky: {
+      prior: 0.01,
+      alphabet: 'абвгдеёжзийклмнңоөпрстуүфхцчшщъыьэюя',
+      letters: 'ңөү',
+      words: 'жана менен үчүн бул деп кыргыз кыргызстан эмне кантип',
+      ngrams: 'нүн_ дын_ дин_ лар_ лер_ ы_',
+    },
+    tt: {
+      prior: 0.01,
+      alphabet: 'аәбвгдеёжҗзийклмнңоөпрстуүфхһцчшщъыьэюя',
+      letters: 'әҗңөүһ',
+      words: 'һәм белән өчен бу татар юк бар турында',
+      ngrams: 'җ ның_ нең_ лар_ ләр_',
+    },
+    tg: {
+      prior: 0.01,
+      alphabet: 'абвгғдеёжзиӣйкқлмнопрстуӯфхҳчҷшъэюя',
+      letters: 'ғӣқӯҳҷ',
+      words: 'ва дар бо аз ки ин тоҷик барои чӣ',
+      ngrams: 'ҷ ӣ_ ӯ',
+    },
+    mn: {
+      prior: 0.01,
+      alphabet: 'абвгдеёжзийклмноөпрстуүфхцчшщъыьэюя',
+      letters: 'өү',
+      words: 'бол байна юм энэ монгол нь болон тэр гэж',
+      ngrams: 'ийн_ ын_ аа ээ өө үү',
+    },
+    uz: {
+      prior: 0.01,
+      alphabet: 'абвгдеёжзийклмнопрстуфхцчшъэюяўқғҳ',
+      letters: 'ўқғҳ',
+      words: 'ва бу билан учун ўзбек ҳам энг қандай янги',
+      ngrams: 'ўз ни_ ган_',
+    },
+  };
+
+  const LANGUAGES = Object.keys(PROFILES);
+
+  // Pre-compile profiles into lookup structures once.
+  const COMPILED = {};
+  for (const lang of LANGUAGES) {
+    const p = PROFILES[lang];
+    COMPILED[lang] = {
+      logPrior: Math.log(p.prior),
+      alphabet: new Set(p.alphabet),
+      letters: new Set(p.letters),
+      words: new Set(p.words.split(/\s+/).filter(Boolean)),
+      ngrams: [...new Set(p.ngrams.split(/\s+/).filter(Boolean))],
+    };
+  }
+
+  const APOSTROPHES = /[’ʼ`]/g;
+  const CYRILLIC_WORD = /[Ѐ-ӿ]+(?:'[Ѐ-ӿ]+)*/g;
+  const CYRILLIC_LETTER = /[Ѐ-ӿ']/;
+
+  /**
+   * Split text into lower-cased Cyrillic words (apostrophes inside words are kept,
+   * since Ukrainian and Belarusian use them where Russian uses ъ/ь).
+   */
+  function tokenize(text) {
+    return text.toLowerCase().replace(APOSTROPHES, "'").match(CYRILLIC_WORD) || [];
+  }
+
+  function countOccurrences(haystack, needle) {
+    let count = 0;
+    let idx = haystack.indexOf(needle);
+    while (idx !== -1) {
+      count++;
+      idx = haystack.indexOf(needle, idx + 1);
+    }
+    return count;
+  }
+
+  /**
+   * Score text against every profile.
+   *
+   * @returns {{
+   *   probabilities: Object<string, number>,
+   *   scores: Object<string, number>,
+   *   top: string|null,
+   *   confidence: number,
+   *   words: number,
+   *   version: number,
+   * }} top is null when the text has no Cyrillic words
+   */
+  function classify(text) {
+    const words = tokenize(text || '');
+    if (words.length === 0) {
+      return { probabilities: {}, scores: {}, top: null, confidence: 0, words: 0, version: MODEL_VERSION };
+    }
+
+    const joined = '_' + words.join('_') + '_';
+    const letters = [];
+    for (const ch of joined) {
+      if (CYRILLIC_LETTER.test(ch)) letters.push(ch);
+    }
+
+    const scores = {};
+    for (const lang of LANGUAGES) {
+      const profile = COMPILED[lang];
+      let score = profile.logPrior;
+
+      for (const ch of letters) {
+        if (!profile.alphabet.has(ch)) score += OUT_OF_ALPHABET;
+        else if (profile.letters.has(ch)) score += LETTER_WEIGHT;
+      }
+      for (const word of words) {
+        if (profile.words.has(word)) score += WORD_WEIGHT;
+      }
+      for (const ngram of profile.ngrams) {
+        const n = countOccurrences(joined, ngram);
+        if (n) score += n * NGRAM_WEIGHT;
+      }
+      scores[lang] = score;
+    }
+
+    // Softmax (shifted by the max score for numerical stability)
+    const max = Math.max(...Object.values(scores));
+    let total = 0;
+    const probabilities = {};
+    for (const lang of LANGUAGES) {
+      probabilities[lang] = Math.exp(scores[lang] - max);
+      total += probabilities[lang];
+    }
+    let top = null;
+    for (const lang of LANGUAGES) {
+      probabilities[lang] /= total;
+      if (!top || probabilities[lang] > probabilities[top]) top = lang;
+    }
+
+    return {
+      probabilities,
+      scores,
+      top,
+      confidence: probabilities[top],
+      words: words.length,
+      version: MODEL_VERSION,
+    };
+  }
+
+  return {
+    MODEL_VERSION,
+    LANGUAGES,
+    classify,
+  };
+})();
@@ -0,0 +1,175 @@
+/**
+ * Persistent per-video cache of language decisions (chrome.storage.local).
+ *
+ * SPA navigations, reprocessing after a list change and page reloads keep
+ * seeing the same videos. The cache remembers what RuFilterDetector.shouldFilter
+ * decided from the video's metadata, so a known video is decided synchronously
+ * (no detection tiers, no chrome.i18n call) the moment its tile appears.
+ *
+ * Entries are keyed by the video a tile itself is (RuFilterDetector.ownVideoId):
+ * playlists, mixes and posts link to a video inside them and are never cached.
+ *
+ * Only the language part is cached. Video overrides, whitelist, blocklist,
+ * keyword rules and shared lists are checked live on every lookup, so list
+ * changes never need a cache flush.
+ *
+ * An entry is valid only for the detector version and the detection settings
+ * (languages, transliteration, thresholds) it was made with, and for TTL_MS.
+ * The cache holds at most MAX_ENTRIES videos; the oldest entries are evicted.
+ * Writes are batched and merged with what other tabs stored in the meantime
+ * (RuFilterStorage.mergeDecisionCache, run by the service worker).
+ *
+ * Depends on RuFilterDetector (lib/language-detector.js) and RuFilterStorage (lib/storage.js).
+ */
+const RuFilterCache = (() => {
+  const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+  const MAX_ENTRIES = 5000;
+  const FLUSH_DELAY_MS = 5000;
+
+  // videoId → { decision, reason, signal?, language?, tier?, detail?, score, threshold, key, at }
+  let entries = {};
+  let dirty = {};
+  let flushTimer = null;
+
+  /**
+   * Everything a language decision depends on besides the video itself.
+   */
+  function settingsKey(settings) {
+    return [
+      RuFilterDetector.VERSION,
+      (settings?.protectedLanguages || []).join(','),
+      (settings?.filteredLanguages || []).join(','),
+      settings?.detectTransliteration ? 1 : 0,
+      settings?.blockThreshold ?? RuFilterDetector.DEFAULT_BLOCK_THRESHOLD,
+      Object.values(RuFilterDetector.thresholdsOf(settings)).join(','),
+    ].join('|');
+  }
+
+  function isFresh(entry, now) {
+    return entry && now - entry.at < TTL_MS && entry.key.startsWith(RuFilterDetector.VERSION + '|');
+  }
+
+  /**
+   * Drop expired entries and entries from another detector version, then the
+   * oldest ones beyond MAX_ENTRIES.
+   */
+  function prune(all) {
+    const now = Date.now();
+    const fresh = Object.entries(all).filter(([, entry]) => isFresh(entry, now));
+    if (fresh.length > MAX_ENTRIES) {
+      fresh.sort((a, b) => b[1].at - a[1].at);
+      fresh.length = MAX_ENTRIES;
+    }
+    return Object.fromEntries(fresh);
+  }
+
+  const ready = (async () => {
+    try {
+      entries = { ...prune(await RuFilterStorage.getDecisionCache()), ...entries };
+    } catch (err) {
+      console.error('[RuFilter] Error loading decision cache:', err);
+    }
+  })();
+
+  async function flush() {
+    flushTimer = null;
+    const pending = dirty;
+    dirty = {};
+    try {
+      // Merged with entries other tabs wrote since we loaded, and pruned the same way
+      await RuFilterStorage.mergeDecisionCache(pending, {
+        version: RuFilterDetector.VERSION,
+        ttlMs: TTL_MS,
+        maxEntries: MAX_ENTRIES,
+      });
+    } catch (err) {
+      console.error('[RuFilter] Error saving decision cache:', err);
+    }
+  }
+
+  /**
+   * Cached decision for a video, or null.
+   * Synchronous: lists are checked first, then the in-memory cache.
+   *
+   * @param {Object} video - metadata in the shape of RuFilterExtractor.extractMetadata
+   * @param {Object} lists - as for RuFilterDetector.shouldFilter
+   * @param {Object} settings
+   * @returns {Object|null} a shouldFilter result (without the per-signal breakdown)
+   *   with cached: true for cache hits
+   */
+  function lookup(video, lists, settings) {
+    const listed = RuFilterDetector.checkLists(video, lists);
+    if (listed) return listed;
+    const videoId = RuFilterDetector.ownVideoId(video);
+    if (!videoId) return null;
+
+    const entry = entries[videoId];
+    if (!isFresh(entry, Date.now()) || entry.key !== settingsKey(settings)) return null;
+    const { key, at, ...result } = entry;
+    return { ...result, cached: true };
+  }
+
+  /**
+   * Decision for a video if it can be made right away: lists, the cache, or
+   * RuFilterDetector.shouldFilterSync (remembered like decide's). Null when a
+   * text needs CLD — then use decide.
+   * @returns {Object|null} a shouldFilter result
+   */
+  function decideSync(video, lists, settings) {
+    const known = lookup(video, lists, settings);
+    if (known) return known;
+
+    const result = RuFilterDetector.shouldFilterSync(video, lists, settings);
+    if (result) store(video, settings, result);
+    return result;
+  }
+
+  /**
+   * Decision for a video: from the cache if known, else from
+   * RuFilterDetector.shouldFilter (and then remembered).
+   * @returns {Promise<Object>} a shouldFilter result
+   */
+  async function decide(video, lists, settings) {
+    await ready;
+    const known = lookup(video, lists, settings);
+    if (known) return known;
+
+    // lookup found no list entry, so this is a language decision
+    const result = await RuFilterDetector.shouldFilter(video, lists, settings);
+    store(video, settings, result);
+    return result;
+  }
+
+  function store(video, settings, result) {
+    const videoId = RuFilterDetector.ownVideoId(video);
+    if (!videoId) return;
+    const { decision, reason, signal, language, tier, detail, score, threshold } = result;
+    const entry = { decision, reason, score, threshold, key: settingsKey(settings), at: Date.now() };
+    if (signal) Object.assign(entry, { signal, language, tier });
+    if (detail) entry.detail = detail;
+
+    entries[videoId] = entry;
+    dirty[videoId] = entry;
+    if (Object.keys(entries).length > MAX_ENTRIES * 1.1) entries = prune(entries);
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  /**
+   * Forget all cached decisions.
+   */
+  async function clear() {
+    entries = {};
+    dirty = {};
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    await RuFilterStorage.clearDecisionCache();
+  }
+
+  return {
+    ready,
+    lookup,
+    decideSync,
+    decide,
+    clear,
+  };
+})();
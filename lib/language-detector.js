@@ -1,156 +1,814 @@
 /**
- * 3-tier language detection with false-negative bias.
+ * 4-tier language detection with false-negative bias.
  *
  * Tier 1: Character heuristic (instant)
- *   a) Ukrainian-only chars (іїєґ) → UKRAINIAN
- *   b) Russian-only chars (ёыэъ) → RUSSIAN
- *   c) >50% Cyrillic with zero Ukrainian chars → RUSSIAN
+ *   a) Ukrainian-only chars (їєґ) → uk
+ *   b) Letters no Russian text uses (і, ў, ђ, ј, ќ, ә, қ, …) → the best
+ *      non-Russian match from the n-gram classifier (uk, be, sr, kk, …)
+ *   c) Russian-only chars (ёыэ) → ru
  *
- * Tier 2: chrome.i18n.detectLanguage (async, CLD-based)
+ * Tier 2: Offline n-gram classifier (RuFilterClassifier, instant)
+ *   Separates Russian from Ukrainian, Bulgarian, Serbian, etc. when the text
+ *   has no telltale letters.
  *
- * Tier 3: Fallback → ALLOW (false-negative bias)
+ * Tier 3: chrome.i18n.detectLanguage (async, CLD-based)
  *
- * Results: "RUSSIAN", "UKRAINIAN", "ALLOW" (non-Cyrillic or unknown)
+ * Optional: Latin-script text can be checked for transliterated Russian
+ *   (RuFilterTranslit) when the detectTransliteration setting is on.
+ *
+ * Tier 4: Fallback → null (unknown, never filtered — false-negative bias)
+ *
+ * Results are ISO 639-1 language codes ("ru", "uk", "bg", "en", …) or null.
+ * Which codes are kept or hidden is decided by the user's protected and
+ * filtered language settings (see shouldFilter).
+ *
+ * How confident the n-gram and CLD tiers must be comes from the user's
+ * sensitivity settings (settings.detectionThresholds, see SENSITIVITY_PRESETS).
  */
 const RuFilterDetector = (() => {
-  const RUSSIAN_ONLY = /[ёЁыЫэЭъЪ]/;
-  const UKRAINIAN_ONLY = /[іІїЇєЄґҐ]/;
+  // Bump whenever a change here can turn an earlier decision around; cached
+  // decisions (RuFilterCache) from another version are discarded. Includes the
+  // n-gram model's version.
+  const DETECTOR_VERSION = 1;
+  const VERSION = `${DETECTOR_VERSION}.${RuFilterClassifier.MODEL_VERSION}`;
+
+  const RUSSIAN_ONLY = /[ёЁыЫэЭ]/;
+  const UKRAINIAN_ONLY = /[їЇєЄґҐ]/;
+  // Letters that never occur in Russian: і (Ukrainian, Belarusian, Kazakh), Belarusian ў,
+  // Serbian/Macedonian ђјљњћџѓќѕ, Kazakh/Kyrgyz/Tatar/Tajik/Uzbek/Mongolian әғқңөұүһҗҳҷӣӯ
+  const NON_RUSSIAN = /[іІўЎђЂјЈљЉњЊћЋџЏѓЃќЌѕЅәӘғҒқҚңҢөӨұҰүҮһҺҗҖҳҲҷҶӣӢӯӮ]/;
   const CYRILLIC = /[\u0400-\u04FF]/;
-  const CYRILLIC_GLOBAL = /[\u0400-\u04FF]/g;
-  const LETTER = /[\p{L}]/gu;
+
+  const DEFAULT_OPTIONS = {
+    protectedLanguages: ['uk'],
+    filteredLanguages: ['ru'],
+    detectTransliteration: false,
+  };
+
+  // Tier thresholds, overridable through settings.detectionThresholds
+  const DEFAULT_THRESHOLDS = {
+    // N-gram tier. A protected language wins at a much lower probability than a
+    // filtered language needs to be hidden — the same false-negative bias as the
+    // char heuristic.
+    ngramProtectedMin: 0.25,
+    ngramFilteredMin: 0.75,
+    ngramOtherMin: 0.5,
+    // CLD tier, for anything but a protected language
+    cldMinConfidence: 0.7,
+    cldRequireReliable: true,
+    // CLD confidence needed to call an ambiguous search query Russian (isRussianQuery)
+    queryMinConfidence: 0.6,
+  };
+
+  // Weighted score at which a video is hidden (settings.blockThreshold)
+  const DEFAULT_BLOCK_THRESHOLD = 0.6;
+  // Detection confidence a comment needs before it is hidden (settings.commentThreshold).
+  // Comments are short and often mix languages, so a comment is judged on its text
+  // alone and needs a more confident detection than a title's weighted score.
+  const DEFAULT_COMMENT_THRESHOLD = 0.9;
+
+  /**
+   * Settings written by each sensitivity preset. "strict" hides more (lower
+   * scores, less room for protected and other languages, fewer Russian-query
+   * bypasses); "lenient" only hides clear cases.
+   */
+  const SENSITIVITY_PRESETS = {
+    strict: {
+      blockThreshold: 0.45,
+      commentThreshold: 0.8,
+      detectionThresholds: {
+        ngramProtectedMin: 0.35,
+        ngramFilteredMin: 0.6,
+        ngramOtherMin: 0.6,
+        cldMinConfidence: 0.6,
+        cldRequireReliable: false,
+        queryMinConfidence: 0.8,
+      },
+    },
+    balanced: {
+      blockThreshold: DEFAULT_BLOCK_THRESHOLD,
+      commentThreshold: DEFAULT_COMMENT_THRESHOLD,
+      detectionThresholds: DEFAULT_THRESHOLDS,
+    },
+    lenient: {
+      blockThreshold: 0.8,
+      commentThreshold: 0.95,
+      detectionThresholds: {
+        ngramProtectedMin: 0.15,
+        ngramFilteredMin: 0.85,
+        ngramOtherMin: 0.4,
+        cldMinConfidence: 0.85,
+        cldRequireReliable: true,
+        queryMinConfidence: 0.5,
+      },
+    },
+  };
+
+  // Transliteration is a word-list guess, so it never counts as fully certain
+  const TRANSLIT_CONFIDENCE = 0.8;
+
+  /**
+   * Tier thresholds for the given settings (missing values from DEFAULT_THRESHOLDS).
+   */
+  function thresholdsOf(settings) {
+    return { ...DEFAULT_THRESHOLDS, ...(settings?.detectionThresholds || {}) };
+  }
+
+  function withDefaults(options) {
+    return {
+      protectedLanguages: options?.protectedLanguages || DEFAULT_OPTIONS.protectedLanguages,
+      filteredLanguages: options?.filteredLanguages || DEFAULT_OPTIONS.filteredLanguages,
+      detectTransliteration: options?.detectTransliteration ?? DEFAULT_OPTIONS.detectTransliteration,
+      // Already resolved when called again on shouldFilter's options
+      thresholds: options?.thresholds || thresholdsOf(options),
+    };
+  }
+
+  /**
+   * Most probable language in a classification, ignoring some codes.
+   */
+  function topExcluding(probabilities, excluded) {
+    let best = null;
+    for (const [lang, p] of Object.entries(probabilities)) {
+      if (excluded.includes(lang)) continue;
+      if (!best || p > probabilities[best]) best = lang;
+    }
+    return best;
+  }
 
   /**
    * Tier 1: Character-based heuristic.
    *
    * Check order matters for the false-negative bias:
-   * Ukrainian chars always take precedence over Russian chars.
+   * Ukrainian chars always take precedence, then letters that only other
+   * Cyrillic languages use, and only then Russian chars. (ъ is not a Russian
+   * marker: it is far more common in Bulgarian.)
    *
-   * Additionally, if >50% of letters in the text are Cyrillic AND no
-   * Ukrainian-unique chars exist, we classify as RUSSIAN. This catches
-   * the majority of Russian titles that don't happen to contain ёыэъ
-   * (e.g. "Приготовил Самую Острую Шаурму").
+   * Predominantly-Cyrillic text without any of these letters is left to the
+   * n-gram tier — it could just as well be Ukrainian ("Новини дня"),
+   * Bulgarian or Serbian.
    *
-   * @returns {"RUSSIAN"|"UKRAINIAN"|null} null means inconclusive
+   * @returns {string|null} language code, or null when inconclusive
    */
   function charHeuristic(text) {
     const hasUkrainian = UKRAINIAN_ONLY.test(text);
-    if (hasUkrainian) return 'UKRAINIAN';
+    if (hasUkrainian) return 'uk';
+
+    // Non-Russian letters rule Russian out; the classifier's alphabets tell
+    // which of the remaining languages uses them (і alone → Ukrainian).
+    const hasNonRussian = NON_RUSSIAN.test(text);
+    if (hasNonRussian) {
+      const { probabilities } = RuFilterClassifier.classify(text);
+      return topExcluding(probabilities, ['ru']) || 'uk';
+    }
 
     const hasRussian = RUSSIAN_ONLY.test(text);
-    if (hasRussian) return 'RUSSIAN';
-
-    // Predominantly-Cyrillic heuristic: if most letters are Cyrillic
-    // and none are Ukrainian-unique, this is very likely Russian.
-    const cyrillicMatches = text.match(CYRILLIC_GLOBAL);
-    if (cyrillicMatches) {
-      const letterMatches = text.match(LETTER);
-      if (letterMatches && cyrillicMatches.length / letterMatches.length > 0.5) {
-        return 'RUSSIAN';
+    if (hasRussian) return 'ru';
+
+    return null;
+  }
+
+  /**
+   * Tier 2: Offline n-gram classifier.
+   * @returns {{ language: string|null, scores: Object }}
+   */
+  function ngramDetect(text, options) {
+    const classification = RuFilterClassifier.classify(text);
+    const { probabilities, top } = classification;
+    const { ngramProtectedMin, ngramFilteredMin, ngramOtherMin } = options.thresholds;
+    let language = null;
+
+    if (top) {
+      // Any protected language above its (low) bar wins, most probable first
+      let protectedHit = null;
+      for (const lang of options.protectedLanguages) {
+        const p = probabilities[lang] || 0;
+        if (p >= ngramProtectedMin && (!protectedHit || p > probabilities[protectedHit])) {
+          protectedHit = lang;
+        }
+      }
+      if (protectedHit) {
+        language = protectedHit;
+      } else if (options.filteredLanguages.includes(top)) {
+        if (probabilities[top] >= ngramFilteredMin) language = top;
+      } else if (probabilities[top] >= ngramOtherMin) {
+        language = top;
       }
     }
 
-    return null;
+    return { language, scores: classification };
+  }
+
+  // At most MAX_CLD_CALLS detectLanguage calls in flight; the rest wait in order
+  const MAX_CLD_CALLS = 4;
+  let cldCalls = 0;
+  const cldWaiting = [];
+
+  function acquireCldSlot() {
+    if (cldCalls < MAX_CLD_CALLS) {
+      cldCalls++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => cldWaiting.push(resolve));
+  }
+
+  function releaseCldSlot() {
+    const next = cldWaiting.shift();
+    if (next) next();
+    else cldCalls--;
   }
 
   /**
-   * Tier 2: chrome.i18n.detectLanguage (CLD).
-   * Only invoked on text that contains Cyrillic characters.
-   * @returns {Promise<"RUSSIAN"|"UKRAINIAN"|"ALLOW">}
+   * Tier 3: chrome.i18n.detectLanguage (CLD).
+   *
+   * A protected language at the top is accepted as-is; anything else needs
+   * cldMinConfidence and, with cldRequireReliable, CLD's own "reliable" flag.
+   * Calls beyond MAX_CLD_CALLS wait for a free slot.
+   *
+   * @returns {Promise<{ language: string|null, confidence: number }>}
    */
-  function chromeDetect(text) {
-    if (!CYRILLIC.test(text)) return Promise.resolve('ALLOW');
+  async function chromeDetect(text, options) {
+    await acquireCldSlot();
+    try {
+      return await cldCall(text, options);
+    } finally {
+      releaseCldSlot();
+    }
+  }
 
+  function cldCall(text, options) {
+    const unknown = { language: null, confidence: 0 };
     return new Promise((resolve) => {
       try {
         chrome.i18n.detectLanguage(text, (result) => {
           if (chrome.runtime.lastError) {
-            resolve('ALLOW');
+            resolve(unknown);
             return;
           }
           if (!result || !result.languages || result.languages.length === 0) {
-            resolve('ALLOW');
+            resolve(unknown);
             return;
           }
           const top = result.languages[0];
-          if (top.language === 'uk') {
-            resolve('UKRAINIAN');
+          const detected = { language: top.language, confidence: top.percentage / 100 };
+          if (options.protectedLanguages.includes(top.language)) {
+            resolve(detected);
             return;
           }
-          if (result.isReliable && top.language === 'ru' && top.percentage >= 70) {
-            resolve('RUSSIAN');
+          const { cldMinConfidence, cldRequireReliable } = options.thresholds;
+          if ((result.isReliable || !cldRequireReliable) && detected.confidence >= cldMinConfidence) {
+            resolve(detected);
             return;
           }
-          resolve('ALLOW');
+          resolve(unknown);
         });
       } catch {
-        resolve('ALLOW');
+        resolve(unknown);
       }
     });
   }
 
   /**
-   * Detect language of a single text string using the 2-tier cascade.
-   * Tier 1 (charHeuristic) resolves synchronously for the vast majority of text.
-   * Tier 2 (chrome.i18n) is only needed for ambiguous Cyrillic text.
-   * @returns {Promise<"RUSSIAN"|"UKRAINIAN"|"ALLOW">}
+   * Optional tier for Latin-script text: transliterated Russian.
+   * Only a Russian match counts; anything else falls through to the usual handling.
+   * @returns {{ language: "ru", confidence: number, detail: string, scores: Object } | null}
    */
-  async function detectText(text) {
-    if (!text || !text.trim()) return 'ALLOW';
+  function translitDetect(text) {
+    const analysis = RuFilterTranslit.analyze(text);
+    if (analysis.language !== 'ru') return null;
+    return {
+      language: 'ru',
+      confidence: TRANSLIT_CONFIDENCE,
+      detail: 'transliterated Russian: ' + analysis.matches.join(', '),
+      scores: analysis,
+    };
+  }
+
+  /**
+   * Whether any filtered language is written in a non-Cyrillic script, in which
+   * case non-Cyrillic text has to go through CLD as well.
+   */
+  function filtersNonCyrillic(options) {
+    return options.filteredLanguages.some((lang) => !RuFilterClassifier.LANGUAGES.includes(lang));
+  }
+
+  /**
+   * Detect language of a single text string and report which tier decided.
+   * Tier 1 (charHeuristic) and tier 2 (n-gram) resolve synchronously for the vast
+   * majority of text. Tier 3 (chrome.i18n) is only needed when both are inconclusive.
+   *
+   * @param {string} text
+   * @param {{
+   *   protectedLanguages?: string[],
+   *   filteredLanguages?: string[],
+   *   detectTransliteration?: boolean,
+   *   detectionThresholds?: Object,
+   * }} [options]
+   * @returns {Promise<{
+   *   language: string|null,
+   *   confidence: number,
+   *   tier: "empty"|"char"|"non-cyrillic"|"translit"|"ngram"|"cld",
+   *   scores?: Object,
+   *   detail?: string,
+   *   trace: Array<{ tier: string, language: string|null, confidence?: number, top?: string }>,
+   * }>} confidence is 0–1 (1 for the char heuristic, the model probability for the
+   *     n-gram tier, CLD's percentage for CLD); scores holds the n-gram (or
+   *     transliteration) analysis whenever that tier ran, for debugging; detail
+   *     explains a transliteration match; trace lists every tier that ran, in
+   *     order, with what it found (top is the n-gram tier's best guess even
+   *     when it was below its threshold)
+   */
+  async function analyzeText(text, options) {
+    options = withDefaults(options);
+    return finishAnalysis(analyzeSync(text, options), text, options);
+  }
+
+  /**
+   * The synchronous part of analyzeText: tier 1, transliteration and tier 2.
+   * @returns {Object} an analyzeText result, or { needsCld: true, trace, scores? }
+   *   when only CLD can decide (see finishAnalysis)
+   */
+  function analyzeSync(text, options) {
+    const trace = [];
+    if (!text || !text.trim()) return { language: null, confidence: 0, tier: 'empty', trace };
     text = text.trim();
 
-    // Tier 1: char heuristic (includes predominantly-Cyrillic check)
+    // Tier 1: char heuristic
     const tier1 = charHeuristic(text);
-    if (tier1) return tier1;
+    trace.push({ tier: 'char', language: tier1 });
+    if (tier1) return { language: tier1, confidence: 1, tier: 'char', trace };
+
+    // No Cyrillic at all → transliterated Russian (if enabled), else only CLD can help,
+    // and only if a non-Cyrillic language is filtered
+    if (!CYRILLIC.test(text)) {
+      if (options.detectTransliteration) {
+        const translit = translitDetect(text);
+        trace.push({ tier: 'translit', language: translit?.language || null });
+        if (translit) return { ...translit, tier: 'translit', trace };
+      }
+      if (!filtersNonCyrillic(options)) {
+        trace.push({ tier: 'non-cyrillic', language: null });
+        return { language: null, confidence: 0, tier: 'non-cyrillic', trace };
+      }
+      return { needsCld: true, trace };
+    }
 
-    // No Cyrillic at all → ALLOW (English, etc.)
-    if (!CYRILLIC.test(text)) return 'ALLOW';
+    // Tier 2: n-gram classifier
+    const tier2 = ngramDetect(text, options);
+    const { probabilities, top } = tier2.scores;
+    trace.push({
+      tier: 'ngram',
+      language: tier2.language,
+      confidence: probabilities[tier2.language || top] || 0,
+      top,
+    });
+    if (tier2.language) {
+      return {
+        language: tier2.language,
+        confidence: probabilities[tier2.language],
+        tier: 'ngram',
+        scores: tier2.scores,
+        trace,
+      };
+    }
+    return { needsCld: true, trace, scores: tier2.scores };
+  }
 
-    // Tier 2: chrome.i18n
-    return chromeDetect(text);
+  /**
+   * Tier 3 (chrome.i18n) for a text the synchronous tiers left undecided.
+   * @param {Object} partial - an analyzeSync result
+   */
+  async function finishAnalysis(partial, text, options) {
+    if (!partial.needsCld) return partial;
+    const { trace, scores } = partial;
+    const tier3 = await chromeDetect(text.trim(), options);
+    trace.push({ tier: 'cld', ...tier3 });
+    return { ...tier3, tier: 'cld', ...(scores && { scores }), trace };
   }
 
   /**
-   * Combined decision for a video, given its metadata and user lists.
+   * Detect language of a single text string using the tier cascade.
+   * @returns {Promise<string|null>}
+   */
+  async function detectText(text, options) {
+    return (await analyzeText(text, options)).language;
+  }
+
+  // --- Weighted multi-signal scoring ---
+
+  /**
+   * How much each piece of video metadata counts towards the block score.
+   * The title stays the primary signal; the channel name alone can never reach
+   * the default threshold (a Russian channel may post non-Russian videos).
+   */
+  const SIGNAL_WEIGHTS = {
+    title: 1,
+    channel: 0.3,
+    description: 0.5,
+    hashtags: 0.4,
+    badges: 0.2,
+    metadata: 0.2,
+  };
+
+  // Protected-language evidence counts this many times more than filtered-language
+  // evidence — the false-negative bias expressed as a weight.
+  const PROTECTED_MULTIPLIER = 2;
+  // A title that is clearly in some other, non-filtered language (English, Bulgarian, …)
+  // pulls the score down by this fraction of its weight.
+  const OTHER_TITLE_FACTOR = 0.5;
+
+  /**
+   * Turn the extracted metadata into the texts scored as separate signals.
+   */
+  function collectSignals(video) {
+    return {
+      title: video.title || '',
+      channel: video.channelName || '',
+      description: video.description || '',
+      hashtags: (video.hashtags || []).join(' '),
+      badges: (video.badges || []).join(' '),
+      metadata: video.metadataLine || '',
+    };
+  }
+
+  // Signals YouTube writes in the viewer's UI language rather than the video's
+  const UI_SIGNALS = new Set(['badges', 'metadata']);
+
+  /**
+   * Contribution of one analysed signal to the block score.
+   * Positive = evidence for a filtered language, negative = evidence against.
+   *
+   * Badges and the metadata line in the UI language carry no information, e.g.
+   * "How to bake bread" with a "Новое" badge under a Russian UI scores only its
+   * English title and is not pushed towards BLOCK.
+   *
+   * @param {string} uiLanguage - base language of the UI ("ru", not "ru-RU")
+   */
+  function scoreSignal(name, result, options, uiLanguage) {
+    const weight = SIGNAL_WEIGHTS[name];
+    const { language, confidence } = result;
+
+    if (UI_SIGNALS.has(name) && language && language.split('-')[0] === uiLanguage) {
+      return { contribution: 0, note: 'ui-locale' };
+    }
+    if (options.protectedLanguages.includes(language)) {
+      return { contribution: -weight * confidence * PROTECTED_MULTIPLIER };
+    }
+    if (options.filteredLanguages.includes(language)) {
+      return { contribution: weight * confidence };
+    }
+    if (name === 'title' && (language || result.tier === 'non-cyrillic')) {
+      return { contribution: -weight * (language ? confidence : 1) * OTHER_TITLE_FACTOR };
+    }
+    return { contribution: 0 };
+  }
+
+  // Tile kinds whose link opens a video inside them rather than the tile itself:
+  // a playlist or mix starts on its first video, a post may attach one
+  const CONTAINER_KINDS = new Set(['playlist', 'post', 'channel']);
+
+  /**
+   * ID of the video a tile itself is, which per-video overrides, cached
+   * decisions and "show once" are keyed by.
+   * @returns {string} "" for playlists, mixes, posts and channels
+   */
+  function ownVideoId(video) {
+    return CONTAINER_KINDS.has(video.kind) ? '' : video.videoId || '';
+  }
+
+  /**
+   * The list part of shouldFilter on its own (synchronous): a per-video override
+   * (hide or always show),
+   * the channel whitelist and blocklist, the keyword rules (RuFilterRules), then
+   * the shared lists from subscriptions (RuFilterSubscriptions).
+   * @returns {{
+   *   decision: "ALLOW"|"BLOCK",
+   *   reason: "video-allowed"|"video-hidden"|"whitelist"|"blocklist"|"allow-rule"|
+   *     "block-rule"|"shared-whitelist"|"shared-blocklist",
+   *   detail?: string,
+   * } | null} null when nothing applies; detail describes a matching rule or
+   *   names the shared list
+   */
+  function checkLists(video, lists) {
+    const videoId = ownVideoId(video);
+    const override = videoId && lists.videoOverrides?.[videoId];
+    if (override?.action === 'allow') return { decision: 'ALLOW', reason: 'video-allowed' };
+    if (override?.action === 'hide') return { decision: 'BLOCK', reason: 'video-hidden' };
+
+    const channel = { id: video.channelId, name: video.channelName };
+    if (RuFilterChannel.findEntry(lists.whitelist, channel)) return { decision: 'ALLOW', reason: 'whitelist' };
+    if (RuFilterChannel.findEntry(lists.blocklist, channel)) return { decision: 'BLOCK', reason: 'blocklist' };
+
+    const matched = RuFilterRules.evaluate(lists.rules, video);
+    if (matched) {
+      const allow = matched.rule.action === 'allow';
+      return {
+        decision: allow ? 'ALLOW' : 'BLOCK',
+        reason: allow ? 'allow-rule' : 'block-rule',
+        detail: RuFilterRules.describe(matched.rule),
+      };
+    }
+
+    const shared = lists.shared;
+    const sharedAllow = RuFilterChannel.findEntry(shared?.whitelist, channel);
+    if (sharedAllow) {
+      return { decision: 'ALLOW', reason: 'shared-whitelist', detail: shared.whitelist[sharedAllow.key].list };
+    }
+    const sharedBlock = RuFilterChannel.findEntry(shared?.blocklist, channel);
+    if (sharedBlock) {
+      return { decision: 'BLOCK', reason: 'shared-blocklist', detail: shared.blocklist[sharedBlock.key].list };
+    }
+    return null;
+  }
+
+  /**
+   * Combined decision for a video, given its metadata, user lists and settings.
    *
    * Decision rules (in order):
-   * 1. Channel whitelisted → ALLOW
-   * 2. Channel blocklisted → BLOCK
-   * 3. Either title or channel detected as Ukrainian → ALLOW
-   * 4. Title detected as Russian → BLOCK (title is the primary signal)
-   * 5. Channel detected as Russian but title is not → ALLOW
-   *    (could be a non-Russian video from a Russian channel)
-   * 6. Everything else → ALLOW
+   * 1. Video allowed by a per-video override → ALLOW
+   * 2. Channel whitelisted → ALLOW
+   * 3. Channel blocklisted → BLOCK
+   * 4. An allow keyword rule matches → ALLOW
+   * 5. A block keyword rule matches → BLOCK
+   * 6. Channel on a subscribed shared whitelist → ALLOW
+   * 7. Channel on a subscribed shared blocklist → BLOCK
+   * 8. Weighted score over all signals (title, channel name, description snippet,
+   *    hashtags, badges, metadata line) reaches the block threshold → BLOCK
+   * 9. Everything else → ALLOW
+   *
+   * Each signal is run through the detection cascade and contributes
+   * weight × confidence: positive for a filtered language, negative (doubled) for a
+   * protected language, and negative (halved) for a title in any other language.
    *
-   * False-negative bias: Ukrainian always takes precedence (rule 3),
-   * and we only block based on the title, never on channel name alone.
+   * Lists are matched by channel ID first, then by legacy display-name entries
+   * (see RuFilterChannel.findEntry).
    *
-   * @returns {Promise<"ALLOW"|"BLOCK">}
+   * False-negative bias: protected-language evidence outweighs filtered-language
+   * evidence, a language listed as both counts as protected, and the channel name
+   * alone never blocks a video.
+   *
+   * @param {{
+   *   title: string,
+   *   channelName: string,
+   *   channelId?: string,
+   *   description?: string,
+   *   hashtags?: string[],
+   *   badges?: string[],
+   *   metadataLine?: string,
+   *   uiLanguage?: string,
+   * }} video
+   * @param {{
+   *   whitelist: Object,
+   *   blocklist: Object,
+   *   videoOverrides?: Object,
+   *   rules?: Object,
+   *   shared?: { whitelist: Object, blocklist: Object },
+   * }} lists
+   * @param {{
+   *   protectedLanguages?: string[],
+   *   filteredLanguages?: string[],
+   *   detectTransliteration?: boolean,
+   *   blockThreshold?: number,
+   *   detectionThresholds?: Object,
+   * }} [settings] defaults to protecting Ukrainian and filtering Russian
+   * @returns {Promise<{
+   *   decision: "ALLOW"|"BLOCK",
+   *   reason: "video-allowed"|"video-hidden"|"whitelist"|"blocklist"|"allow-rule"|"block-rule"|
+   *     "shared-whitelist"|"shared-blocklist"|"protected-language"|"filtered-language"|"default",
+   *   signal?: string,
+   *   language?: string,
+   *   tier?: string,
+   *   detail?: string,
+   *   score?: number,
+   *   threshold?: number,
+   *   signals?: Array<{
+   *     signal: string,
+   *     language: string|null,
+   *     tier: string,
+   *     confidence: number,
+   *     weight: number,
+   *     contribution: number,
+   *     note?: string,
+   *     detail?: string,
+   *     trace: Array<Object>,
+   *   }>,
+   * }>} reason names the rule that decided; signal/language/tier/detail describe
+   *     the strongest signal behind a language decision; signals is the per-signal
+   *     breakdown of score, with the analyzeText trace of each
    */
-  async function shouldFilter(title, channelName, whitelist, blocklist) {
+  async function shouldFilter(video, lists, settings) {
     // List checks (O(1) lookup)
-    if (channelName && whitelist[channelName]) return 'ALLOW';
-    if (channelName && blocklist[channelName]) return 'BLOCK';
+    const listed = checkLists(video, lists);
+    if (listed) return listed;
+
+    // Synchronous tiers first; texts they leave undecided go to CLD in parallel
+    const options = withDefaults(settings);
+    const texts = signalTexts(video);
+    const results = await Promise.all(texts.map(([, text]) =>
+      finishAnalysis(analyzeSync(text, options), text, options)));
+    return scoreVideo(video, texts, results, options, settings);
+  }
 
-    // Run detection on both in parallel
-    const [titleResult, channelResult] = await Promise.all([
-      detectText(title),
-      detectText(channelName),
-    ]);
+  /**
+   * shouldFilter without waiting for CLD: the same result when every signal is
+   * settled by the synchronous tiers (char heuristic, transliteration, n-gram) or
+   * a list decides, otherwise null.
+   * @returns {Object|null}
+   */
+  function shouldFilterSync(video, lists, settings) {
+    const listed = checkLists(video, lists);
+    if (listed) return listed;
 
-    // Ukrainian found anywhere → ALLOW (Ukrainian takes absolute precedence)
-    if (titleResult === 'UKRAINIAN' || channelResult === 'UKRAINIAN') return 'ALLOW';
+    const options = withDefaults(settings);
+    const texts = signalTexts(video);
+    const results = texts.map(([, text]) => analyzeSync(text, options));
+    if (results.some((result) => result.needsCld)) return null;
+    return scoreVideo(video, texts, results, options, settings);
+  }
+
+  /**
+   * The non-empty signals of a video, as [name, text] pairs.
+   */
+  function signalTexts(video) {
+    return Object.entries(collectSignals(video)).filter(([, text]) => text.trim());
+  }
+
+  /**
+   * Weighted decision from the analyzeText result of each signal (see shouldFilter).
+   */
+  function scoreVideo(video, texts, results, options, settings) {
+    const threshold = settings?.blockThreshold ?? DEFAULT_BLOCK_THRESHOLD;
+    const uiLanguage = (video.uiLanguage || '').split('-')[0].toLowerCase();
+
+    let score = 0;
+    const signals = texts.map(([name], i) => {
+      const result = results[i];
+      const { contribution, note } = scoreSignal(name, result, options, uiLanguage);
+      score += contribution;
+      const signal = {
+        signal: name,
+        language: result.language,
+        tier: result.tier,
+        confidence: result.confidence,
+        weight: SIGNAL_WEIGHTS[name],
+        contribution,
+        trace: result.trace,
+      };
+      if (note) signal.note = note;
+      if (result.detail) signal.detail = result.detail;
+      return signal;
+    });
 
-    // Title is Russian → BLOCK
-    if (titleResult === 'RUSSIAN') return 'BLOCK';
+    const decision = score >= threshold ? 'BLOCK' : 'ALLOW';
+    const breakdown = { score, threshold, signals };
+
+    // Name the strongest signal in the winning direction as the reason
+    const strongest = signals.reduce((best, s) => {
+      const value = decision === 'BLOCK' ? s.contribution : -s.contribution;
+      return value > 0 && (!best || value > best.value) ? { value, s } : best;
+    }, null)?.s;
+
+    if (decision === 'BLOCK') {
+      return { decision, reason: 'filtered-language', ...(strongest && describe(strongest)), ...breakdown };
+    }
+    if (strongest && options.protectedLanguages.includes(strongest.language)) {
+      return { decision, reason: 'protected-language', ...describe(strongest), ...breakdown };
+    }
+    return { decision, reason: 'default', ...breakdown };
+  }
+
+  // --- Search queries ---
+
+  /**
+   * Detect whether a YouTube search query is in Russian.
+   *
+   * Conservative bias: only returns true when we're confident the query
+   * is Russian. This is the opposite bias from video-title detection —
+   * uncertain Cyrillic queries default to "not Russian" so we still filter.
+   *
+   * Examples:
+   *   "iPhone 17 Pro Max"   → false (English, filter Russian results)
+   *   "огляд iPhone"        → false (ambiguous Cyrillic, filter to be safe)
+   *   "Максим Кац"          → true  (chrome.i18n detects Russian)
+   *   "как готовить борщ"    → true  (no Russian-only letters, but chrome.i18n detects ru)
+   *   "объявление"          → true  (ы is Russian-only; ъ alone isn't, Bulgarian uses it)
+   *
+   * @param {string} query
+   * @param {{ detectionThresholds?: Object }} [settings] for queryMinConfidence
+   * @returns {Promise<boolean>}
+   */
+  async function isRussianQuery(query, settings) {
+    query = (query || '').trim();
+    if (!query) return false;
+
+    // Letters no Russian text uses (Ukrainian їєґі, Belarusian ў, …) → searching in another language
+    if (UKRAINIAN_ONLY.test(query) || NON_RUSSIAN.test(query)) return false;
+
+    // Russian-only letters (ёыэ, as in the character heuristic) → confidently Russian
+    if (RUSSIAN_ONLY.test(query)) return true;
+
+    // No Cyrillic at all → not Russian (English, etc.)
+    if (!CYRILLIC.test(query)) return false;
+
+    // Ambiguous Cyrillic — ask chrome.i18n for a confident answer
+    return new Promise((resolve) => {
+      try {
+        chrome.i18n.detectLanguage(query, (result) => {
+          if (chrome.runtime.lastError || !result?.languages?.length) {
+            resolve(false); // uncertain → treat as non-Russian → filter
+            return;
+          }
+          const top = result.languages[0];
+          resolve(top.language === 'ru' && top.percentage / 100 >= thresholdsOf(settings).queryMinConfidence);
+        });
+      } catch {
+        resolve(false);
+      }
+    });
+  }
+
+  // --- Comments ---
+
+  // Below this many letters ("ок", "+1", emoji) there is nothing to go on
+  const COMMENT_MIN_LETTERS = 12;
+
+  /**
+   * Decision for a comment, given its text and author, user lists and settings.
+   *
+   * Decision rules (in order):
+   * 1. Author whitelisted → ALLOW
+   * 2. Author blocklisted → BLOCK
+   * 3. Text in a filtered language with at least the comment threshold's
+   *    confidence → BLOCK
+   * 4. Everything else (including protected languages and very short text) → ALLOW
+   *
+   * @param {{ text: string, authorName?: string, authorId?: string }} comment
+   * @param {{ whitelist: Object, blocklist: Object }} lists
+   * @param {{
+   *   protectedLanguages?: string[],
+   *   filteredLanguages?: string[],
+   *   detectTransliteration?: boolean,
+   *   commentThreshold?: number,
+   *   detectionThresholds?: Object,
+   * }} [settings]
+   * @returns {Promise<{
+   *   decision: "ALLOW"|"BLOCK",
+   *   reason: "whitelist"|"blocklist"|"protected-language"|"filtered-language"|"default",
+   *   signal?: "comment",
+   *   language?: string,
+   *   tier?: string,
+   *   detail?: string,
+   *   score?: number,
+   *   threshold?: number,
+   * }>} score is the detection confidence, in the same fields as shouldFilter
+   */
+  async function shouldFilterComment(comment, lists, settings) {
+    const author = { id: comment.authorId, name: comment.authorName };
+    const options = withDefaults(settings);
+    const threshold = settings?.commentThreshold ?? DEFAULT_COMMENT_THRESHOLD;
+
+    if (RuFilterChannel.findEntry(lists.whitelist, author)) return { decision: 'ALLOW', reason: 'whitelist' };
+    if (RuFilterChannel.findEntry(lists.blocklist, author)) return { decision: 'BLOCK', reason: 'blocklist' };
+
+    const text = comment.text || '';
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters < COMMENT_MIN_LETTERS) return { decision: 'ALLOW', reason: 'default' };
+
+    const result = await analyzeText(text, options);
+    const described = describe({ signal: 'comment', ...result });
+    const breakdown = { score: result.confidence, threshold };
+
+    if (options.protectedLanguages.includes(result.language)) {
+      return { decision: 'ALLOW', reason: 'protected-language', ...described, ...breakdown };
+    }
+    if (options.filteredLanguages.includes(result.language) && result.confidence >= threshold) {
+      return { decision: 'BLOCK', reason: 'filtered-language', ...described, ...breakdown };
+    }
+    return { decision: 'ALLOW', reason: 'default', ...breakdown };
+  }
 
-    // Channel is Russian but title is not — allow the video
-    // (non-Russian content from a Russian channel should not be hidden)
-    return 'ALLOW';
+  function describe(signal) {
+    const described = { signal: signal.signal, language: signal.language, tier: signal.tier };
+    if (signal.detail) described.detail = signal.detail;
+    return described;
   }
 
   return {
+    VERSION,
+    SIGNAL_WEIGHTS,
+    DEFAULT_BLOCK_THRESHOLD,
+    DEFAULT_COMMENT_THRESHOLD,
+    DEFAULT_THRESHOLDS,
+    SENSITIVITY_PRESETS,
+    thresholdsOf,
+    analyzeText,
     detectText,
+    ownVideoId,
+    checkLists,
     shouldFilter,
+    shouldFilterSync,
+    shouldFilterComment,
+    isRussianQuery,
     charHeuristic,
   };
 })();
@@ -0,0 +1,39 @@
+/**
+ * Display names for the language codes used in settings, the popup and on-page labels.
+ *
+ * Cyrillic languages are recognised offline (RuFilterClassifier); the rest rely on
+ * Chrome's language detection.
+ */
+const RuFilterLanguages = (() => {
+  // In popup display order
+  const NAMES = {
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    be: 'Belarusian',
+    bg: 'Bulgarian',
+    sr: 'Serbian',
+    mk: 'Macedonian',
+    kk: 'Kazakh',
+    ky: 'Kyrgyz',
+    tt: 'Tatar',
+    tg: 'Tajik',
+    uz: 'Uzbek',
+    mn: 'Mongolian',
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    pl: 'Polish',
+    pt: 'Portuguese',
+    tr: 'Turkish',
+  };
+
+  function nameOf(code) {
+    return NAMES[code] || code;
+  }
+
+  return {
+    NAMES,
+    nameOf,
+  };
+})();
@@ -0,0 +1,157 @@
+/**
+ * User-defined keyword rules shared by the content scripts and the popup.
+ *
+ * A rule allows or blocks a video when its title, channel or description matches
+ * a pattern — as a substring, a whole word or a regular expression. Rules catch
+ * what language detection can't (a show reuploaded under a Ukrainian title) and
+ * keep what it gets wrong (a Russian-learning channel).
+ *
+ * Matching ignores case and Cyrillic/Latin look-alike letters ("Cекрет" with a
+ * Latin C matches "секрет"), so swapped letters can't dodge a rule.
+ *
+ * Rule format (storage key "rules", keyed by rule ID):
+ *   { action: "allow"|"block", field: "title"|"channel"|"description",
+ *     match: "substring"|"word"|"regex", pattern: string }
+ */
+const RuFilterRules = (() => {
+  const ACTIONS = ['allow', 'block'];
+  const FIELDS = ['title', 'channel', 'description'];
+  const MATCH_TYPES = ['substring', 'word', 'regex'];
+
+  // Lower-case Cyrillic letters and the Latin letter each looks like in lower case too.
+  // в, м, н and т only pass for B, M, H and T in upper case: folding them would make
+  // "вот" match a rule for "bot".
+  const HOMOGLYPHS = {
+    а: 'a', е: 'e', к: 'k', о: 'o', р: 'p', с: 'c', у: 'y', х: 'x',
+    і: 'i', ј: 'j', ѕ: 's', ԁ: 'd', ԛ: 'q', ԝ: 'w',
+  };
+  const TO_LATIN = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+  const LATIN_TO_CYRILLIC = Object.fromEntries(Object.entries(HOMOGLYPHS).map(([cyr, lat]) => [lat, cyr]));
+  const TO_CYRILLIC = new RegExp(`[${Object.keys(LATIN_TO_CYRILLIC).join('')}]`, 'g');
+
+  // Compiled patterns, by match type and pattern
+  const compiled = new Map();
+
+  /**
+   * Case- and homoglyph-folded form of a text: lower case, look-alike Cyrillic
+   * letters replaced by their Latin twins.
+   */
+  function fold(text) {
+    return (text || '').toLowerCase().replace(TO_LATIN, (c) => HOMOGLYPHS[c]);
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Why a rule can't be used, or null if it is valid.
+   * @returns {string|null}
+   */
+  function validate(rule) {
+    if (!ACTIONS.includes(rule?.action)) return 'Unknown action';
+    if (!FIELDS.includes(rule.field)) return 'Unknown field';
+    if (!MATCH_TYPES.includes(rule.match)) return 'Unknown match type';
+    if (!rule.pattern || !rule.pattern.trim()) return 'Pattern is empty';
+    if (rule.match === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'iu');
+      } catch (err) {
+        return err.message;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compiled form of a rule's pattern, or null for an invalid one.
+   * Substring and word patterns are folded; a regex is run on the text as written
+   * and with look-alike letters swapped each way, so its own syntax is left alone.
+   */
+  function compile(rule) {
+    const cacheKey = rule.match + ':' + rule.pattern;
+    if (compiled.has(cacheKey)) return compiled.get(cacheKey);
+
+    let regex = null;
+    try {
+      if (rule.match === 'regex') {
+        regex = new RegExp(rule.pattern, 'iu');
+      } else {
+        const escaped = escapeRegExp(fold(rule.pattern.trim()));
+        const source = rule.match === 'word' ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])` : escaped;
+        regex = new RegExp(source, 'u');
+      }
+    } catch {
+      // Invalid patterns never match
+    }
+    compiled.set(cacheKey, regex);
+    return regex;
+  }
+
+  function textsOf(video, field) {
+    if (field === 'channel') return [video.channelName, video.channelId];
+    if (field === 'description') return [video.description];
+    return [video.title];
+  }
+
+  /**
+   * Whether a rule matches a video.
+   * @param {Object} rule
+   * @param {{ title?: string, channelName?: string, channelId?: string, description?: string }} video
+   */
+  function matches(rule, video) {
+    const regex = compile(rule);
+    if (!regex) return false;
+    for (const text of textsOf(video, rule.field)) {
+      if (!text) continue;
+      if (rule.match !== 'regex') {
+        if (regex.test(fold(text))) return true;
+        continue;
+      }
+      const lower = text.toLowerCase();
+      const variants = [
+        text,
+        lower.replace(TO_LATIN, (c) => HOMOGLYPHS[c]),
+        lower.replace(TO_CYRILLIC, (c) => LATIN_TO_CYRILLIC[c]),
+      ];
+      if (variants.some((variant) => regex.test(variant))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * The rule that decides a video, if any. Allow rules win over block rules —
+   * the same false-negative bias as the whitelist over the blocklist.
+   * @param {Object} rules - rule ID → rule
+   * @returns {{ id: string, rule: Object } | null}
+   */
+  function evaluate(rules, video) {
+    let blocking = null;
+    for (const [id, rule] of Object.entries(rules || {})) {
+      if (!matches(rule, video)) continue;
+      if (rule.action === 'allow') return { id, rule };
+      if (!blocking) blocking = { id, rule };
+    }
+    return blocking;
+  }
+
+  /**
+   * Short description of a rule, e.g. 'title contains "стрим"' or 'channel matches /news$/'.
+   */
+  function describe(rule) {
+    if (rule.match === 'regex') return `${rule.field} matches /${rule.pattern}/`;
+    const verb = rule.match === 'word' ? 'has the word' : 'contains';
+    return `${rule.field} ${verb} "${rule.pattern}"`;
+  }
+
+  return {
+    ACTIONS,
+    FIELDS,
+    MATCH_TYPES,
+    fold,
+    validate,
+    matches,
+    evaluate,
+    describe,
+  };
+})();
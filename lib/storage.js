@@ -1,15 +1,89 @@
 /**
  * Storage wrapper for chrome.storage.sync (cross-device) and chrome.storage.local (device-only).
  *
- * sync: settings, whitelist, blocklist
- * local: stats
+ * sync: settings, whitelist, blocklist, videoOverrides, rules, subscriptions
+ * local: stats, statsHistory, activityLog, subscriptionData, decisionCache, localMaps
+ *
+ * The four maps that grow with use (whitelist, blocklist, videoOverrides, rules)
+ * are sharded and fall back to local storage when sync is full; read them with
+ * getMap and watch them with changedMaps, never through their storage key.
+ *
+ * Only the background service worker writes: the mutating functions exported
+ * here send it a message from any other context (see "Mutations" below).
+ *
+ * Depends on RuFilterChannel (lib/channel-id.js) for list keys, and on
+ * RuFilterSubscriptions (lib/subscriptions.js) for getSharedLists.
  */
 const RuFilterStorage = (() => {
   // --- Settings (sync) ---
 
+  const DEFAULT_SETTINGS = {
+    enabled: true,
+    // Languages that are never hidden; found in the title or channel name they win
+    protectedLanguages: ['uk'],
+    // Languages whose titles are hidden
+    filteredLanguages: ['ru'],
+    // Also check Latin-script titles for transliterated Russian ("Kak prigotovit' borsch")
+    detectTransliteration: false,
+    // Sensitivity preset the thresholds below came from: "strict" | "balanced" |
+    // "lenient" | "custom" (edited by hand); see RuFilterDetector.SENSITIVITY_PRESETS
+    sensitivity: 'balanced',
+    // Weighted score (title, channel, description, hashtags, badges, metadata line)
+    // at which a video is hidden; see RuFilterDetector.shouldFilter
+    blockThreshold: 0.6,
+    // Pause a filtered video opened directly on /watch and ask before playing it
+    watchInterstitial: true,
+    // Hide blocked playlist entries, end-screen tiles and "Up next"; skip blocked playlist entries
+    skipInPlayback: true,
+    // Also remove blocked items from YouTube's page data before they are rendered
+    // (content/page-hook.js); the DOM path still handles everything else
+    filterBeforeRender: false,
+    // Also hide comments in a filtered language under /watch videos
+    filterComments: false,
+    // Detection confidence a comment needs before it is hidden (comments are short,
+    // so the bar is higher than for titles); see RuFilterDetector.shouldFilterComment
+    commentThreshold: 0.9,
+    // Per-tier detection thresholds; missing ones fall back to RuFilterDetector.DEFAULT_THRESHOLDS
+    detectionThresholds: {},
+    // How hidden videos (and comments) are shown, per surface: "remove" | "blur" | "placeholder"
+    hideModes: {
+      home: 'remove',
+      search: 'remove',
+      shorts: 'remove',
+      watch: 'remove',
+      subscriptions: 'remove',
+      channel: 'remove',
+      history: 'remove',
+      comments: 'placeholder',
+    },
+    // What is filtered, per surface: "filter" (lists and language) | "blocklist" (lists only) | "off".
+    // Channel pages are off by default — the user navigated there intentionally.
+    surfacePolicies: {
+      home: 'filter',
+      search: 'filter',
+      shorts: 'filter',
+      watch: 'filter',
+      subscriptions: 'filter',
+      channel: 'off',
+      history: 'filter',
+    },
+    // Search results for a Russian query only apply the blocklist (the user asked for Russian)
+    russianQueryBypass: true,
+  };
+
+  /**
+   * Fill in defaults for settings saved by an older version (or missing entirely).
+   */
+  function withDefaults(settings) {
+    const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+    merged.hideModes = { ...DEFAULT_SETTINGS.hideModes, ...(settings?.hideModes || {}) };
+    merged.surfacePolicies = { ...DEFAULT_SETTINGS.surfacePolicies, ...(settings?.surfacePolicies || {}) };
+    return merged;
+  }
+
   async function getSettings() {
-    const { settings } = await chrome.storage.sync.get({ settings: { enabled: true } });
-    return settings;
+    const { settings } = await chrome.storage.sync.get({ settings: DEFAULT_SETTINGS });
+    return withDefaults(settings);
   }
 
   async function updateSettings(partial) {
@@ -19,87 +93,747 @@ const RuFilterStorage = (() => {
     return updated;
   }
 
-  // --- Whitelist (sync) ---
+  // The nested settings are changed one key at a time here, in the mutation
+  // queue: a caller merging its own copy would undo another tab's change.
+
+  async function setSurfacePolicy(surface, policy) {
+    const { surfacePolicies } = await getSettings();
+    return updateSettings({ surfacePolicies: { ...surfacePolicies, [surface]: policy } });
+  }
+
+  async function setHideMode(surface, mode) {
+    const { hideModes } = await getSettings();
+    return updateSettings({ hideModes: { ...hideModes, [surface]: mode } });
+  }
+
+  /**
+   * Keep, hide or leave to detection ("protected"|"filtered"|"neutral") one language.
+   */
+  async function setLanguageMode(lang, mode) {
+    const current = await getSettings();
+    const protectedLanguages = current.protectedLanguages.filter((l) => l !== lang);
+    const filteredLanguages = current.filteredLanguages.filter((l) => l !== lang);
+    if (mode === 'protected') protectedLanguages.push(lang);
+    if (mode === 'filtered') filteredLanguages.push(lang);
+    return updateSettings({ protectedLanguages, filteredLanguages });
+  }
+
+  // --- Sharded maps (sync, local when sync is full) ---
+  //
+  // sync caps each item at 8 KB and the whole area at 100 KB, so a map is split
+  // over several keys:
+  //   "blocklist"   → { format: "sharded", shards: 2, rev }
+  //   "blocklist#0" → { "@a": {…}, … }
+  //   "blocklist#1" → { … }
+  // The manifest is rewritten on every save, so a change to "blocklist" means
+  // the map changed. Maps saved by older versions are one plain object under
+  // their own key and are still read.
+  //
+  // When a save doesn't fit in sync, the map is saved the same way to local
+  // storage and its name added to local "localMaps"; it is then read from there
+  // (this device only) until a save fits in sync again. The sync copy is left
+  // as it was, so nothing is lost either way.
+
+  const SHARDED_MAPS = ['whitelist', 'blocklist', 'videoOverrides', 'rules'];
+  // How the maps are named to the user
+  const MAP_LABELS = {
+    whitelist: 'whitelist',
+    blocklist: 'blocklist',
+    videoOverrides: 'per-video choices',
+    rules: 'keyword rules',
+  };
+  // Below QUOTA_BYTES_PER_ITEM (8192), leaving room for the key
+  const SHARD_BYTES = 7500;
+  // Share of the sync quota in use above which the popup warns
+  const QUOTA_WARNING_RATIO = 0.8;
+
+  const encoder = new TextEncoder();
+
+  function byteLength(value) {
+    return encoder.encode(JSON.stringify(value)).length;
+  }
 
-  async function getWhitelist() {
-    const { whitelist } = await chrome.storage.sync.get({ whitelist: {} });
-    return whitelist;
+  function isManifest(value) {
+    return value?.format === 'sharded' && Number.isInteger(value.shards);
   }
 
-  async function addToWhitelist(channelName) {
-    if (!channelName) return;
-    const whitelist = await getWhitelist();
-    whitelist[channelName] = true;
-    await chrome.storage.sync.set({ whitelist });
-    // Remove from blocklist if present
-    const blocklist = await getBlocklist();
-    if (blocklist[channelName]) {
-      delete blocklist[channelName];
-      await chrome.storage.sync.set({ blocklist });
+  function shardKey(name, index) {
+    return `${name}#${index}`;
+  }
+
+  function shardKeys(name, count) {
+    return Array.from({ length: count }, (_, i) => shardKey(name, i));
+  }
+
+  /**
+   * Split a map into objects of at most SHARD_BYTES each (a single larger
+   * entry gets a shard to itself and is left for set() to reject).
+   */
+  function split(map) {
+    const shards = [];
+    let current = {};
+    let size = 2;
+    for (const [key, value] of Object.entries(map)) {
+      const entrySize = byteLength(key) + byteLength(value) + 2;
+      if (size + entrySize > SHARD_BYTES && size > 2) {
+        shards.push(current);
+        current = {};
+        size = 2;
+      }
+      current[key] = value;
+      size += entrySize;
     }
+    shards.push(current);
+    return shards;
+  }
+
+  /**
+   * Whether a sync write failed for lack of space (QUOTA_BYTES or
+   * QUOTA_BYTES_PER_ITEM). Write-rate limits (MAX_WRITE_OPERATIONS_PER_MINUTE/
+   * _PER_HOUR) also say "quota" but pass, so they're not moved to local storage.
+   */
+  function isQuotaError(err) {
+    return /\bQUOTA_BYTES(_PER_ITEM)?\b/.test(err?.message || '');
+  }
+
+  async function getLocalMaps() {
+    const { localMaps } = await chrome.storage.local.get({ localMaps: [] });
+    return localMaps;
   }
 
-  async function removeFromWhitelist(channelName) {
-    const whitelist = await getWhitelist();
-    delete whitelist[channelName];
-    await chrome.storage.sync.set({ whitelist });
+  async function readMap(area, name) {
+    const { [name]: stored } = await area.get({ [name]: {} });
+    if (!isManifest(stored)) return stored || {};
+    const keys = shardKeys(name, stored.shards);
+    const shards = await area.get(keys);
+    return Object.assign({}, ...keys.map((key) => shards[key] || {}));
   }
 
-  // --- Blocklist (sync) ---
+  async function writeMap(area, name, map) {
+    const { [name]: previous } = await area.get(name);
+    const shards = split(map);
+    const items = { [name]: { format: 'sharded', shards: shards.length, rev: Date.now() } };
+    shards.forEach((shard, i) => { items[shardKey(name, i)] = shard; });
+    await area.set(items);
+
+    const stale = shardKeys(name, isManifest(previous) ? previous.shards : 0).slice(shards.length);
+    if (stale.length > 0) await area.remove(stale);
+  }
 
-  async function getBlocklist() {
-    const { blocklist } = await chrome.storage.sync.get({ blocklist: {} });
-    return blocklist;
+  async function removeMap(area, name) {
+    const { [name]: stored } = await area.get(name);
+    await area.remove([name, ...shardKeys(name, isManifest(stored) ? stored.shards : 0)]);
   }
 
-  async function addToBlocklist(channelName) {
-    if (!channelName) return;
-    const blocklist = await getBlocklist();
-    blocklist[channelName] = true;
-    await chrome.storage.sync.set({ blocklist });
-    // Remove from whitelist if present
-    const whitelist = await getWhitelist();
-    if (whitelist[channelName]) {
-      delete whitelist[channelName];
-      await chrome.storage.sync.set({ whitelist });
+  /**
+   * One of the SHARDED_MAPS, from wherever it is stored.
+   * @param {"whitelist"|"blocklist"|"videoOverrides"|"rules"} name
+   */
+  async function getMap(name) {
+    const area = (await getLocalMaps()).includes(name) ? chrome.storage.local : chrome.storage.sync;
+    return readMap(area, name);
+  }
+
+  /**
+   * Save one of the SHARDED_MAPS: to sync if it fits, else to local storage.
+   * @returns {Promise<"sync"|"local">} where it was saved
+   * @throws {Error} if it couldn't be saved at all
+   */
+  async function setMap(name, map) {
+    const localMaps = await getLocalMaps();
+    try {
+      await writeMap(chrome.storage.sync, name, map);
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      await writeMap(chrome.storage.local, name, map);
+      if (!localMaps.includes(name)) {
+        console.warn('[RuFilter] Sync storage is full, keeping', name, 'on this device:', err.message);
+        await chrome.storage.local.set({ localMaps: [...localMaps, name] });
+      }
+      return 'local';
     }
+
+    // Fits in sync (again): drop the device-only copy
+    if (localMaps.includes(name)) {
+      await chrome.storage.local.set({ localMaps: localMaps.filter((n) => n !== name) });
+      await removeMap(chrome.storage.local, name);
+    }
+    return 'sync';
   }
 
-  async function removeFromBlocklist(channelName) {
-    const blocklist = await getBlocklist();
-    delete blocklist[channelName];
-    await chrome.storage.sync.set({ blocklist });
+  /**
+   * Names of the SHARDED_MAPS a chrome.storage.onChanged event touched, in either
+   * area (including a map moving between sync and local). Listeners re-read them
+   * with getMap; the changed values themselves are only manifests or shards.
+   * @returns {string[]}
+   */
+  function changedMaps(changes) {
+    const moved = changes.localMaps
+      ? [...(changes.localMaps.oldValue || []), ...(changes.localMaps.newValue || [])]
+      : [];
+    return SHARDED_MAPS.filter((name) => name in changes || moved.includes(name));
+  }
+
+  /**
+   * How much of the sync quota is in use, and which maps had to move to local storage.
+   * @returns {Promise<{ bytesInUse: number, quota: number, ratio: number, nearlyFull: boolean, localMaps: string[] }>}
+   */
+  async function getQuotaUsage() {
+    const [bytesInUse, localMaps] = await Promise.all([chrome.storage.sync.getBytesInUse(null), getLocalMaps()]);
+    const quota = chrome.storage.sync.QUOTA_BYTES || 102400;
+    const ratio = bytesInUse / quota;
+    return { bytesInUse, quota, ratio, nearlyFull: ratio >= QUOTA_WARNING_RATIO, localMaps };
+  }
+
+  // --- Channel lists (sharded) ---
+  //
+  // Entries are keyed by channel ID ("@handle" / "UC…") with the display name kept
+  // as a label; see RuFilterChannel for the entry format and legacy name-keyed entries.
+
+  async function getList(listType) {
+    return getMap(listType);
+  }
+
+  /**
+   * Add a channel to one list and remove it from the opposite one.
+   * @param {"whitelist"|"blocklist"} listType
+   * @param {{ id?: string, name?: string }} channel
+   */
+  async function addToList(listType, channel) {
+    const key = RuFilterChannel.keyOf(channel);
+    if (!key) return;
+    const oppositeType = listType === 'whitelist' ? 'blocklist' : 'whitelist';
+    const [whitelist, blocklist] = await Promise.all([getMap('whitelist'), getMap('blocklist')]);
+    const lists = { whitelist, blocklist };
+    const oppositeSize = Object.keys(lists[oppositeType]).length;
+
+    // Drop any legacy name-keyed entry for the same channel so it can't shadow the new one
+    const legacyName = RuFilterChannel.cleanName(channel.name);
+    if (channel.id && legacyName) {
+      for (const list of [lists[listType], lists[oppositeType]]) {
+        if (list[legacyName] === true) delete list[legacyName];
+      }
+    }
+
+    lists[listType][key] = RuFilterChannel.entryFor(channel);
+    delete lists[oppositeType][key];
+    // Saved one at a time, the added entry first (whitelist wins while both have it);
+    // the opposite list only if it changed
+    await setMap(listType, lists[listType]);
+    if (Object.keys(lists[oppositeType]).length !== oppositeSize) await setMap(oppositeType, lists[oppositeType]);
+  }
+
+  async function removeFromList(listType, key) {
+    const list = await getList(listType);
+    delete list[key];
+    await setMap(listType, list);
+  }
+
+  /**
+   * Replace a legacy name-keyed entry with an ID-keyed one once the channel's ID is known.
+   * No-op if the legacy entry is gone or the ID is unknown.
+   */
+  async function migrateEntry(listType, legacyKey, channel) {
+    if (!channel?.id) return false;
+    const list = await getList(listType);
+    if (list[legacyKey] !== true) return false;
+    delete list[legacyKey];
+    if (!list[channel.id]) {
+      list[channel.id] = RuFilterChannel.entryFor({ id: channel.id, name: channel.name || legacyKey });
+    }
+    await setMap(listType, list);
+    return true;
+  }
+
+  const getWhitelist = () => getList('whitelist');
+  const getBlocklist = () => getList('blocklist');
+
+  // --- Per-video overrides (sharded) ---
+  //
+  // videoId → { action: "allow"|"hide", title }. Checked before the channel lists.
+
+  async function getVideoOverrides() {
+    return getMap('videoOverrides');
+  }
+
+  async function setVideoOverride(videoId, action, title = '') {
+    if (!videoId) return;
+    const overrides = await getVideoOverrides();
+    overrides[videoId] = { action, title };
+    await setMap('videoOverrides', overrides);
+  }
+
+  async function removeVideoOverride(videoId) {
+    const overrides = await getVideoOverrides();
+    delete overrides[videoId];
+    await setMap('videoOverrides', overrides);
+  }
+
+  // --- Keyword rules (sharded) ---
+  //
+  // rule ID → { action, field, match, pattern }; see RuFilterRules.
+
+  async function getRules() {
+    return getMap('rules');
+  }
+
+  /**
+   * @param {{ action: string, field: string, match: string, pattern: string }} rule
+   * @returns {Promise<string>} the new rule's ID
+   */
+  async function addRule(rule) {
+    const rules = await getRules();
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const { action, field, match, pattern } = rule;
+    rules[id] = { action, field, match, pattern };
+    await setMap('rules', rules);
+    return id;
+  }
+
+  async function removeRule(id) {
+    const rules = await getRules();
+    delete rules[id];
+    await setMap('rules', rules);
+  }
+
+  // --- Shared list subscriptions ---
+  //
+  // sync: URL → { type: "allow"|"block", addedAt }
+  // local: URL → { title, entries, count, skipped, updatedAt, checkedAt, error }
+  // (downloaded by the service worker; see RuFilterSubscriptions)
+
+  async function getSubscriptions() {
+    const { subscriptions } = await chrome.storage.sync.get({ subscriptions: {} });
+    return subscriptions;
+  }
+
+  async function addSubscription(url, type) {
+    const subscriptions = await getSubscriptions();
+    subscriptions[url] = { type, addedAt: Date.now() };
+    await chrome.storage.sync.set({ subscriptions });
+  }
+
+  async function removeSubscription(url) {
+    const subscriptions = await getSubscriptions();
+    delete subscriptions[url];
+    await chrome.storage.sync.set({ subscriptions });
+  }
+
+  async function getSubscriptionData() {
+    const { subscriptionData } = await chrome.storage.local.get({ subscriptionData: {} });
+    return subscriptionData;
+  }
+
+  /**
+   * Update the stored download state of subscriptions.
+   * @param {Object} changes - URL → fields to merge, or null to forget the URL
+   */
+  async function updateSubscriptionData(changes) {
+    const subscriptionData = await getSubscriptionData();
+    for (const [url, fields] of Object.entries(changes)) {
+      if (fields === null) delete subscriptionData[url];
+      else subscriptionData[url] = { ...subscriptionData[url], ...fields };
+    }
+    await chrome.storage.local.set({ subscriptionData });
+  }
+
+  /**
+   * The shared whitelist and blocklist from all subscriptions.
+   * @returns {Promise<{ whitelist: Object, blocklist: Object }>}
+   */
+  async function getSharedLists() {
+    const [subscriptions, subscriptionData] = await Promise.all([getSubscriptions(), getSubscriptionData()]);
+    return RuFilterSubscriptions.combine(subscriptions, subscriptionData);
   }
 
   // --- Stats (local) ---
 
+  const DEFAULT_STATS = {
+    totalFiltered: 0,
+    commentsFiltered: 0,
+  };
+
   async function getStats() {
-    const { stats } = await chrome.storage.local.get({ stats: { totalFiltered: 0 } });
-    return stats;
+    const { stats } = await chrome.storage.local.get({ stats: DEFAULT_STATS });
+    return { ...DEFAULT_STATS, ...stats };
   }
 
-  async function incrementFiltered(count = 1) {
+  async function incrementCounter(counter, count) {
     const stats = await getStats();
-    stats.totalFiltered += count;
+    stats[counter] += count;
     await chrome.storage.local.set({ stats });
     return stats;
   }
 
+  async function incrementFiltered(count = 1) {
+    return incrementCounter('totalFiltered', count);
+  }
+
+  async function incrementCommentsFiltered(count = 1) {
+    return incrementCounter('commentsFiltered', count);
+  }
+
   async function resetStats() {
-    await chrome.storage.local.set({ stats: { totalFiltered: 0 } });
+    await chrome.storage.local.set({ stats: DEFAULT_STATS, statsHistory: {} });
+  }
+
+  // --- Daily stats (local) ---
+  //
+  // "YYYY-MM-DD" (local time) → {
+  //   scanned, hidden,
+  //   surfaces: { surface: { scanned, hidden } },
+  //   reasons: { reason: hidden },          — see STATS_REASONS
+  //   channels: { key: { name, hidden } },  — list key (RuFilterChannel.keyOf)
+  // }
+  // Kept for STATS_DAYS days, with at most MAX_STATS_CHANNELS channels a day.
+
+  const STATS_DAYS = 30;
+  const MAX_STATS_CHANNELS = 100;
+  // What hid a video, coarser than log reasons: the detection tier that decided
+  // the language, or the list that matched
+  const STATS_REASONS = ['heuristic', 'cld', 'blocklist', 'rule', 'shared', 'manual'];
+
+  function dayKeyOf(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Stats reason for a log entry (see logEntryFor).
+   * @returns {string} one of STATS_REASONS
+   */
+  function statsReasonOf(entry) {
+    switch (entry.reason) {
+      case 'blocklist': return 'blocklist';
+      case 'block-rule': return 'rule';
+      case 'shared-blocklist': return 'shared';
+      case 'video-hidden': return 'manual';
+      default: return entry.tier === 'cld' ? 'cld' : 'heuristic';
+    }
+  }
+
+  function emptyDay() {
+    return { scanned: 0, hidden: 0, surfaces: {}, reasons: {}, channels: {} };
+  }
+
+  /**
+   * Daily stats of the last STATS_DAYS days, oldest first; days without any
+   * activity are missing.
+   * @returns {Promise<Object>}
+   */
+  async function getStatsHistory() {
+    const { statsHistory } = await chrome.storage.local.get({ statsHistory: {} });
+    return statsHistory;
+  }
+
+  /**
+   * Add scanned and hidden videos to today's stats and drop days past STATS_DAYS.
+   * @param {Object} scanned - surface → videos decided there
+   * @param {Object[]} hidden - log entries (logEntryFor) of the videos hidden
+   */
+  async function recordStats(scanned, hidden = []) {
+    const history = await getStatsHistory();
+    const surfaceOf = (day, surface) => {
+      day.surfaces[surface] ||= { scanned: 0, hidden: 0 };
+      return day.surfaces[surface];
+    };
+
+    const today = (history[dayKeyOf(Date.now())] ||= emptyDay());
+    for (const [surface, count] of Object.entries(scanned)) {
+      today.scanned += count;
+      surfaceOf(today, surface).scanned += count;
+    }
+
+    const touched = new Set();
+    for (const entry of hidden) {
+      const day = (history[dayKeyOf(entry.at)] ||= emptyDay());
+      day.hidden++;
+      surfaceOf(day, entry.surface || 'unknown').hidden++;
+      const reason = statsReasonOf(entry);
+      day.reasons[reason] = (day.reasons[reason] || 0) + 1;
+
+      const key = RuFilterChannel.keyOf({ id: entry.channelId, name: entry.channelName });
+      if (!key) continue;
+      const channel = (day.channels[key] ||= { name: RuFilterChannel.cleanName(entry.channelName), hidden: 0 });
+      channel.hidden++;
+      touched.add(day);
+    }
+
+    // Only the most-hidden channels are kept; ties keep the ones seen first
+    for (const day of touched) {
+      const channels = Object.entries(day.channels);
+      if (channels.length <= MAX_STATS_CHANNELS) continue;
+      channels.sort((a, b) => b[1].hidden - a[1].hidden);
+      day.channels = Object.fromEntries(channels.slice(0, MAX_STATS_CHANNELS));
+    }
+
+    const first = new Date();
+    first.setDate(first.getDate() - (STATS_DAYS - 1));
+    const oldest = dayKeyOf(first.getTime());
+    const kept = Object.keys(history).filter((key) => key >= oldest).sort();
+    await chrome.storage.local.set({ statsHistory: Object.fromEntries(kept.map((key) => [key, history[key]])) });
+  }
+
+  // --- Activity log (local) ---
+  //
+  // Most recent first, at most MAX_LOG_ENTRIES.
+
+  const MAX_LOG_ENTRIES = 500;
+
+  /**
+   * Log entry for a hidden video.
+   * @param {Object} video - metadata in the shape of RuFilterExtractor.extractMetadata
+   * @param {Object} result - the RuFilterDetector.shouldFilter result that hid it
+   * @returns {{
+   *   id: string,
+   *   at: number,
+   *   videoId: string,
+   *   title: string,
+   *   channelName: string,
+   *   channelId: string,
+   *   surface: string,
+   *   url: string,
+   *   reason: string,
+   *   signal?: string,
+   *   language?: string,
+   *   tier?: string,
+   *   detail?: string,
+   *   score?: number,
+   *   threshold?: number,
+   * }}
+   */
+  function logEntryFor(video, result) {
+    const at = Date.now();
+    const entry = {
+      id: `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      at,
+      videoId: video.videoId || '',
+      title: video.title || '',
+      channelName: video.channelName || '',
+      channelId: video.channelId || '',
+      surface: video.surface || '',
+      url: location.href,
+      reason: result.reason,
+    };
+    for (const key of ['signal', 'language', 'tier', 'detail', 'score', 'threshold']) {
+      if (result[key] !== undefined) entry[key] = result[key];
+    }
+    return entry;
+  }
+
+  async function getLog() {
+    const { activityLog } = await chrome.storage.local.get({ activityLog: [] });
+    return activityLog;
+  }
+
+  /**
+   * Add entries (oldest first, as they happened) to the log.
+   */
+  async function appendLog(entries) {
+    if (entries.length === 0) return;
+    const log = await getLog();
+    const updated = [...entries].reverse().concat(log).slice(0, MAX_LOG_ENTRIES);
+    await chrome.storage.local.set({ activityLog: updated });
+  }
+
+  async function updateLogEntry(id, changes) {
+    const log = await getLog();
+    const entry = log.find((e) => e.id === id);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    await chrome.storage.local.set({ activityLog: log });
+  }
+
+  async function clearLog() {
+    await chrome.storage.local.set({ activityLog: [] });
+  }
+
+  // --- Decision cache (local) ---
+  //
+  // videoId → decision, kept by RuFilterCache (lib/decision-cache.js), which
+  // passes the limits since only it knows the detector version.
+
+  async function getDecisionCache() {
+    const { decisionCache } = await chrome.storage.local.get({ decisionCache: {} });
+    return decisionCache;
+  }
+
+  /**
+   * Merge entries into the stored cache, dropping expired entries and entries
+   * from another detector version, then the oldest ones beyond maxEntries.
+   * @param {Object} entries - videoId → entry
+   * @param {{ version: string, ttlMs: number, maxEntries: number }} limits
+   */
+  async function mergeDecisionCache(entries, { version, ttlMs, maxEntries }) {
+    const now = Date.now();
+    const fresh = Object.entries({ ...(await getDecisionCache()), ...entries })
+      .filter(([, entry]) => now - entry.at < ttlMs && entry.key.startsWith(version + '|'));
+    if (fresh.length > maxEntries) {
+      fresh.sort((a, b) => b[1].at - a[1].at);
+      fresh.length = maxEntries;
+    }
+    await chrome.storage.local.set({ decisionCache: Object.fromEntries(fresh) });
+  }
+
+  async function clearDecisionCache() {
+    await chrome.storage.local.remove('decisionCache');
+  }
+
+  // --- Import (see RuFilterBackup) ---
+
+  /**
+   * Store a planned import. Lists, rules and overrides are saved with setMap, so
+   * they are sharded (and kept locally if sync is full).
+   * @param {{ sync: Object, local: Object }} result - RuFilterBackup.planImport's result
+   * @returns {Promise<string[]>} names of the maps saved on this device only
+   */
+  async function importData({ sync, local }) {
+    const plain = { ...sync };
+    for (const name of SHARDED_MAPS) delete plain[name];
+    await chrome.storage.sync.set(plain);
+
+    const savedLocally = [];
+    for (const name of SHARDED_MAPS) {
+      if (!sync[name]) continue;
+      if (await setMap(name, sync[name]) === 'local') savedLocally.push(name);
+    }
+    if (Object.keys(local).length > 0) {
+      await chrome.storage.local.set(local);
+    }
+    return savedLocally;
+  }
+
+  // --- Mutations ---
+  //
+  // Every write above reads, modifies and writes back, so two contexts writing at
+  // once — a context-menu click and a popup edit, counters from several tabs —
+  // could overwrite each other. So only the background service worker writes:
+  // elsewhere the exported mutations send it a STORAGE_MUTATION message, and it
+  // runs them one at a time, in the order received (handleMessage). The new state
+  // reaches every context through chrome.storage.onChanged; the mutation's return
+  // value goes back to the caller.
+
+  const MUTATION_MESSAGE = 'STORAGE_MUTATION';
+  const IS_SERVICE_WORKER = typeof ServiceWorkerGlobalScope !== 'undefined' &&
+    self instanceof ServiceWorkerGlobalScope;
+
+  const MUTATIONS = {
+    updateSettings,
+    setSurfacePolicy,
+    setHideMode,
+    setLanguageMode,
+    addToList,
+    removeFromList,
+    migrateEntry,
+    setVideoOverride,
+    removeVideoOverride,
+    addRule,
+    removeRule,
+    addSubscription,
+    removeSubscription,
+    updateSubscriptionData,
+    incrementFiltered,
+    incrementCommentsFiltered,
+    resetStats,
+    recordStats,
+    appendLog,
+    updateLogEntry,
+    clearLog,
+    mergeDecisionCache,
+    clearDecisionCache,
+    importData,
+  };
+
+  // Mutations run so far; each one starts when the previous one has settled
+  let queue = Promise.resolve();
+
+  function enqueue(name, args) {
+    const run = queue.then(() => MUTATIONS[name](...args));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function request(name, args) {
+    const response = await chrome.runtime.sendMessage({ type: MUTATION_MESSAGE, name, args });
+    if (!response) throw new Error('The background service worker did not answer');
+    if (response.error) throw new Error(response.error);
+    return response.result;
+  }
+
+  // Exported form of each mutation: queued in the service worker, a message elsewhere
+  const mutate = Object.fromEntries(Object.keys(MUTATIONS).map((name) => [
+    name,
+    (...args) => (IS_SERVICE_WORKER ? enqueue(name, args) : request(name, args)),
+  ]));
+
+  /**
+   * chrome.runtime.onMessage listener for the service worker: runs a mutation
+   * another context asked for and answers { result } or { error }.
+   */
+  function handleMessage(message, sender, sendResponse) {
+    if (message?.type !== MUTATION_MESSAGE || !Object.hasOwn(MUTATIONS, message.name)) return false;
+    enqueue(message.name, message.args || []).then(
+      (result) => sendResponse({ result }),
+      (err) => sendResponse({ error: err.message }),
+    );
+    return true;
   }
 
   return {
+    DEFAULT_SETTINGS,
+    DEFAULT_STATS,
+    STATS_DAYS,
+    STATS_REASONS,
+    SHARDED_MAPS,
+    MAP_LABELS,
+    withDefaults,
+    handleMessage,
     getSettings,
-    updateSettings,
+    updateSettings: mutate.updateSettings,
+    setSurfacePolicy: mutate.setSurfacePolicy,
+    setHideMode: mutate.setHideMode,
+    setLanguageMode: mutate.setLanguageMode,
+    getMap,
+    changedMaps,
+    getQuotaUsage,
     getWhitelist,
-    addToWhitelist,
-    removeFromWhitelist,
+    addToWhitelist: (channel) => mutate.addToList('whitelist', channel),
+    removeFromWhitelist: (key) => mutate.removeFromList('whitelist', key),
     getBlocklist,
-    addToBlocklist,
-    removeFromBlocklist,
+    addToBlocklist: (channel) => mutate.addToList('blocklist', channel),
+    removeFromBlocklist: (key) => mutate.removeFromList('blocklist', key),
+    getList,
+    addToList: mutate.addToList,
+    removeFromList: mutate.removeFromList,
+    migrateEntry: mutate.migrateEntry,
     getStats,
-    incrementFiltered,
-    resetStats,
+    incrementFiltered: mutate.incrementFiltered,
+    incrementCommentsFiltered: mutate.incrementCommentsFiltered,
+    resetStats: mutate.resetStats,
+    dayKeyOf,
+    getStatsHistory,
+    recordStats: mutate.recordStats,
+    getVideoOverrides,
+    setVideoOverride: mutate.setVideoOverride,
+    removeVideoOverride: mutate.removeVideoOverride,
+    getRules,
+    addRule: mutate.addRule,
+    removeRule: mutate.removeRule,
+    getSubscriptions,
+    addSubscription: mutate.addSubscription,
+    removeSubscription: mutate.removeSubscription,
+    getSubscriptionData,
+    updateSubscriptionData: mutate.updateSubscriptionData,
+    getSharedLists,
+    logEntryFor,
+    getLog,
+    appendLog: mutate.appendLog,
+    updateLogEntry: mutate.updateLogEntry,
+    clearLog: mutate.clearLog,
+    getDecisionCache,
+    mergeDecisionCache: mutate.mergeDecisionCache,
+    clearDecisionCache: mutate.clearDecisionCache,
+    importData: mutate.importData,
   };
 })();
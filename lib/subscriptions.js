@@ -0,0 +1,132 @@
+/**
+ * Shared channel lists the user subscribes to by URL (a team blocklist, a list
+ * of trusted creators), shared by the service worker, content scripts and popup.
+ *
+ * The service worker downloads each list periodically (background/service-worker.js);
+ * content scripts combine them into a shared whitelist and blocklist that
+ * RuFilterDetector.checkLists consults after the personal lists and keyword
+ * rules, so personal entries always win.
+ *
+ * List format — plain text:
+ *   # Title: Team blocklist
+ *   @somechannel
+ *   https://www.youtube.com/channel/UCxxxxxxxxxxxxxxxxxxxxxx   Optional display name
+ * one channel per line (handle, UC… ID or channel URL, then an optional name),
+ * "#" lines are comments. Or JSON:
+ *   { "title": "Team blocklist", "channels": ["@somechannel", { "id": "UC…", "name": "Name" }] }
+ * (a bare array of channels works too). Entries that aren't channel IDs are skipped.
+ *
+ * Depends on RuFilterChannel (lib/channel-id.js).
+ */
+const RuFilterSubscriptions = (() => {
+  // Larger downloads are rejected
+  const MAX_BYTES = 2 * 1024 * 1024;
+
+  function entry(reference, name) {
+    const key = RuFilterChannel.parse(reference);
+    if (!key) return null;
+    const cleanName = RuFilterChannel.cleanName(name);
+    return { key, value: cleanName ? { name: cleanName } : {} };
+  }
+
+  function parseJson(data) {
+    const channels = Array.isArray(data) ? data : data?.channels;
+    if (!Array.isArray(channels)) throw new Error('JSON list has no "channels" array');
+    const items = channels.map((item) => (typeof item === 'string'
+      ? entry(item)
+      : entry(item?.id || item?.url, item?.name)));
+    return { title: typeof data.title === 'string' ? data.title : '', items };
+  }
+
+  function parseText(text) {
+    let title = '';
+    const items = [];
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) continue;
+      if (line.startsWith('#')) {
+        const header = /^#\s*title\s*:\s*(.+)$/i.exec(line);
+        if (header && !title) title = header[1].trim();
+        continue;
+      }
+      const [reference, ...name] = line.split(/\s+/);
+      items.push(entry(reference, name.join(' ')));
+    }
+    return { title, items };
+  }
+
+  /**
+   * Parse a downloaded list.
+   * @returns {{ title: string, entries: Object, skipped: number }} entries in the
+   *   personal list format (channel ID → { name? })
+   * @throws {Error} for malformed JSON
+   */
+  function parse(text) {
+    const trimmed = text.trim();
+    const { title, items } = /^[[{]/.test(trimmed) ? parseJson(JSON.parse(trimmed)) : parseText(trimmed);
+    const entries = {};
+    let skipped = 0;
+    for (const item of items) {
+      if (!item) skipped++;
+      else if (!(item.key in entries)) entries[item.key] = item.value;
+    }
+    return { title, entries, skipped };
+  }
+
+  /**
+   * Download and parse a list.
+   * @returns {Promise<{ title: string, entries: Object, skipped: number }>}
+   */
+  async function download(url, timeoutMs = 15000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { cache: 'no-cache', signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const text = await response.text();
+      if (text.length > MAX_BYTES) throw new Error('List is too large');
+      return parse(text);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Combine the downloaded lists into one shared whitelist and blocklist.
+   * Each entry remembers the list it came from (list: title or URL).
+   *
+   * @param {Object} subscriptions - URL → { type: "allow"|"block" }
+   * @param {Object} data - URL → { title, entries } as stored by the service worker
+   * @returns {{ whitelist: Object, blocklist: Object }}
+   */
+  function combine(subscriptions, data) {
+    const shared = { whitelist: {}, blocklist: {} };
+    for (const [url, subscription] of Object.entries(subscriptions || {})) {
+      const list = data?.[url];
+      if (!list?.entries) continue;
+      const target = subscription.type === 'allow' ? shared.whitelist : shared.blocklist;
+      for (const [key, value] of Object.entries(list.entries)) {
+        if (!(key in target)) target[key] = { ...value, list: list.title || url };
+      }
+    }
+    return shared;
+  }
+
+  /**
+   * Whether a URL can be subscribed to.
+   */
+  function isValidUrl(url) {
+    try {
+      return ['https:', 'http:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  return {
+    parse,
+    download,
+    combine,
+    isValidUrl,
+  };
+})();
@@ -0,0 +1,152 @@
+/**
+ * Recognises Russian written in Latin script ("Kak prigotovit' borsch", "Obzor novogo iPhone").
+ *
+ * Scoring is local and word-based: each Latin word is looked up in small lists of
+ * common Russian, Ukrainian and English words, and words that are in none of them
+ * are checked against spelling patterns typical of each transliteration:
+ *
+ *   Russian:   -yy/-iy/-yj adjective endings, -ogo/-ovo, soft sign as ' (prigotovit'),
+ *              -tsya reflexives, "4to"/"4e" chat spellings
+ *   Ukrainian: "yi" (ї), "ie"/"ye" inside words (є), "zgh" (зг), -ty infinitives,
+ *              "h" where Russian has "g" (pryhotuvaty, ohliad)
+ *
+ * Only fires with clear Russian evidence and clearly more of it than Ukrainian
+ * evidence, so English titles with the odd loanword stay untouched.
+ */
+const RuFilterTranslit = (() => {
+  const RUSSIAN_WORDS = new Set((
+    'kak chto shto 4to eto eta etot eti vot ochen ochen\' tak tozhe dazhe uzhe esche eshche eshe ' +
+    'kogda pochemu zachem gde skolko segodnya segodnia zavtra vchera seychas sejchas teper ' +
+    'novyy novyj noviy novaya novoe novogo novye novosti obzor obzory luchshiy luchshie samyy samiy ' +
+    'pervyy pervyj prigotovit prigotovit\' prigotovil kupil kupila sdelal sdelala sdelat sdelat\' ' +
+    'smotret smotret\' posmotret poprobovat poprobovali privet spasibo poka horosho khorosho ploho ' +
+    'davai davay blin rebyata rebiata ya ty my vy oni menya tebya sebya nas vas ' +
+    'moy moi moya tvoy nash vash svoy ' +
+    'pesnya pesni klip film filmy serial seriya vypusk chast\' chast mesyats nedelya god goda let ' +
+    'bolshoy malenkiy dom doma mashina mashinu zhizn zhizn\' lyubov lyubov\' drug druzya ' +
+    'pro dlya bez posle ili ne net da vse vsyo vsego tolko tol\'ko mozhno nuzhno nado budet byl byla bylo ' +
+    'chelovek lyudi deti devushka paren\' paren borsch borshch pelmeni shashlyk ' +
+    'rossiya rossii moskva moskve russkiy russkie po-russki'
+  ).split(/\s+/));
+
+  const UKRAINIAN_WORDS = new Set((
+    'yak shcho scho tse tsei tsia tsi duzhe koly chomu de zaraz siohodni sogodni ' +
+    'novyi nova nove novyny ohliad oglyad naikrashchyi naykrashchyi pershyi ' +
+    'pryhotuvaty pryhotuvav kupyv zrobyv zrobyty dyvytysia podyvytysia sprobuvaty pryvit diakuiu dyakuyu ' +
+    'dobre pohano davai khloptsi vin vona vony mii moia tvii nash vash svii ' +
+    'pisnia pisnya klip film serial seriia vypusk chastyna misiats tyzhden rik roku rokiv ' +
+    'velykyi malenkyi dim vdoma zhyttia liubov druh druzi ' +
+    'pro dlia bez pislia abo ni tak vse tilky mozhna treba bude buv bula bulo ' +
+    'liudyna liudy dity divchyna khlopets borshch varenyky ' +
+    'ukraina ukrainy ukrainskyi ukrainska kyiv kyieva lviv ukrainoiu'
+  ).split(/\s+/));
+
+  // Common English words — these never count as evidence for either language
+  const ENGLISH_WORDS = new Set((
+    'the a an and or but of to in on at for with from by is are was were be been being ' +
+    'i you he she it we they my your his her its our their me him us them this that these those ' +
+    'what how why when where who which not no yes do does did have has had will would can could ' +
+    'should may might must get got make made new best top first last all more most very just ' +
+    'about after before up down out over into than then so if video official music live full ' +
+    'episode part vs review reaction tutorial guide how-to shorts trailer game play ' +
+    'day days year years time one two three world life love home car'
+  ).split(/\s+/));
+
+  const RUSSIAN_PATTERNS = [
+    /[^aeiou](yy|yj|iy|ij)$/,  // novyy, novyj, noviy — Russian -ый/-ий
+    /(ogo|ovo|ego|evo)$/,      // novogo, ego, nichevo
+    /\w'\w*$/,                 // soft sign as apostrophe: prigotovit', zhizn'
+    /(tsya|tsa|tsia)$/,        // -ться/-тся reflexives
+    /^4[a-z]/,                 // 4to, 4e — chat spelling of "что"/"че"
+  ];
+
+  const UKRAINIAN_PATTERNS = [
+    /yi/,                      // ї: yizha, Ukrainskyi
+    /[bcdfghjklmnpqrstvwxz](ie|ye)[a-z]/, // є inside a word: pidpryiemstvo
+    /zgh/,                     // зг (to tell it from ж)
+    /[aeiou]?ty$/,             // infinitives: pryhotuvaty, zrobyty
+    /(^|[^sckzptgw])h[aeiouy]/, // г as h: ohliad, pryhotuvaty (not sh/ch/kh/zh/ph/th/gh/wh)
+    /(ia|iu)$/,                // я/ю endings: pisnia
+  ];
+
+  const WORD_WEIGHT = 2;
+  const PATTERN_WEIGHT = 1;
+  const MIN_SCORE = 3;
+  const MIN_WORDS = 2;
+
+  const APOSTROPHES = /[’ʼ`]/g;
+  const LATIN_WORD = /[a-z0-9]+(?:['-][a-z]+)*'?/g;
+
+  function tokenize(text) {
+    return text.toLowerCase().replace(APOSTROPHES, "'").match(LATIN_WORD) || [];
+  }
+
+  /**
+   * Score Latin-script text for transliterated Russian vs Ukrainian.
+   *
+   * @returns {{
+   *   language: "ru"|"uk"|null,
+   *   russian: number,
+   *   ukrainian: number,
+   *   english: number,
+   *   matches: string[],
+   * }} matches lists the words that counted towards the winning language
+   */
+  function analyze(text) {
+    const words = tokenize(text || '').filter((w) => /[a-z]/.test(w));
+    const result = { language: null, russian: 0, ukrainian: 0, english: 0, matches: [] };
+    if (words.length < MIN_WORDS) return result;
+
+    const ruMatches = [];
+    const ukMatches = [];
+
+    for (const word of words) {
+      if (ENGLISH_WORDS.has(word)) {
+        result.english++;
+        continue;
+      }
+      const bare = word.replace(/'$/, '');
+      const ruWord = RUSSIAN_WORDS.has(word) || RUSSIAN_WORDS.has(bare);
+      const ukWord = UKRAINIAN_WORDS.has(word) || UKRAINIAN_WORDS.has(bare);
+
+      // A word spelled the same in both transliterations proves nothing
+      if (ruWord && !ukWord) {
+        result.russian += WORD_WEIGHT;
+        ruMatches.push(word);
+        continue;
+      }
+      if (ukWord && !ruWord) {
+        result.ukrainian += WORD_WEIGHT;
+        ukMatches.push(word);
+        continue;
+      }
+      if (ruWord && ukWord) continue;
+
+      if (word.length < 4) continue;
+      if (RUSSIAN_PATTERNS.some((re) => re.test(word))) {
+        result.russian += PATTERN_WEIGHT;
+        ruMatches.push(word);
+      }
+      if (UKRAINIAN_PATTERNS.some((re) => re.test(word))) {
+        result.ukrainian += PATTERN_WEIGHT;
+        ukMatches.push(word);
+      }
+    }
+
+    // Mostly English → leave it alone
+    if (result.english * 2 >= words.length) return result;
+
+    if (result.ukrainian >= MIN_SCORE && result.ukrainian >= result.russian) {
+      result.language = 'uk';
+      result.matches = ukMatches;
+    } else if (result.russian >= MIN_SCORE && result.russian > result.ukrainian * 2) {
+      result.language = 'ru';
+      result.matches = ruMatches;
+    }
+    return result;
+  }
+
+  return {
+    analyze,
+  };
+})();
@@ -0,0 +1,135 @@
+/**
+ * Backup page: export everything to a JSON file, and import one after a preview
+ * of what it adds, removes and moves between lists (see RuFilterBackup).
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  // --- DOM refs ---
+  const exportBtn = document.getElementById('export');
+  const importFile = document.getElementById('import-file');
+  const importErrors = document.getElementById('import-errors');
+  const importPreview = document.getElementById('import-preview');
+  const importApplyBtn = document.getElementById('import-apply');
+  const importStatus = document.getElementById('import-status');
+
+  // Parsed, validated backup waiting for confirmation
+  let backup = null;
+  let plan = null;
+
+  // --- Event handlers ---
+
+  exportBtn.addEventListener('click', async () => {
+    const data = await RuFilterBackup.create();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `rufilter-backup-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    backup = null;
+    importStatus.textContent = '';
+    if (!file) {
+      await renderPreview();
+      return;
+    }
+    const { backup: parsed, errors } = RuFilterBackup.parse(await file.text());
+    renderErrors(errors);
+    backup = parsed;
+    await renderPreview();
+  });
+
+  for (const radio of document.querySelectorAll('input[name="import-mode"]')) {
+    radio.addEventListener('change', renderPreview);
+  }
+
+  importApplyBtn.addEventListener('click', async () => {
+    if (!plan) return;
+    importApplyBtn.disabled = true;
+    try {
+      // Newly subscribed lists are downloaded right away; ask for their hosts while we have a user gesture
+      const origins = plan.added.subscriptions.map((url) => new URL(url).origin + '/*');
+      if (origins.length > 0) await chrome.permissions.request({ origins });
+      const savedLocally = (await RuFilterBackup.apply(plan)).map((name) => RuFilterStorage.MAP_LABELS[name]);
+      importStatus.textContent = savedLocally.length > 0
+        ? `Imported. Sync storage is full, so the ${savedLocally.join(', ')} will stay on this device only.`
+        : 'Imported.';
+      backup = null;
+      importFile.value = '';
+      await renderPreview();
+    } catch (err) {
+      console.error('[RuFilter] Import error:', err);
+      importStatus.textContent = 'Import failed: ' + err.message;
+    } finally {
+      importApplyBtn.disabled = false;
+    }
+  });
+
+  // --- Functions ---
+
+  function importMode() {
+    return document.querySelector('input[name="import-mode"]:checked').value;
+  }
+
+  function renderErrors(errors) {
+    importErrors.innerHTML = '';
+    for (const error of errors.slice(0, 20)) {
+      const li = document.createElement('li');
+      li.textContent = error;
+      importErrors.appendChild(li);
+    }
+    if (errors.length > 20) {
+      const li = document.createElement('li');
+      li.textContent = `…and ${errors.length - 20} more`;
+      importErrors.appendChild(li);
+    }
+  }
+
+  function addLine(text, className = '') {
+    const li = document.createElement('li');
+    li.className = className;
+    li.textContent = text;
+    importPreview.appendChild(li);
+    return li;
+  }
+
+  function countLine(count, what, verb) {
+    if (count === 0) return;
+    addLine(`${count} ${what} ${verb}`, verb === 'removed' ? 'removed' : 'added');
+  }
+
+  async function renderPreview() {
+    importPreview.innerHTML = '';
+    plan = null;
+    importApplyBtn.hidden = true;
+    if (!backup) return;
+
+    plan = RuFilterBackup.planImport(backup, await RuFilterBackup.create(), importMode());
+    const { added, removed, conflicts, settingsChanged } = plan;
+
+    countLine(added.whitelist.length, 'whitelisted channel(s)', 'added');
+    countLine(added.blocklist.length, 'blocked channel(s)', 'added');
+    countLine(added.rules.length, 'keyword rule(s)', 'added');
+    countLine(added.videoOverrides.length, 'per-video choice(s)', 'added');
+    countLine(added.subscriptions.length, 'shared list(s)', 'added');
+    countLine(removed.whitelist.length, 'whitelisted channel(s)', 'removed');
+    countLine(removed.blocklist.length, 'blocked channel(s)', 'removed');
+    countLine(removed.rules.length, 'keyword rule(s)', 'removed');
+    countLine(removed.videoOverrides.length, 'per-video choice(s)', 'removed');
+    countLine(removed.subscriptions.length, 'shared list(s)', 'removed');
+    if (settingsChanged.length > 0) {
+      addLine(`Settings changed: ${settingsChanged.join(', ')}`);
+    }
+
+    for (const conflict of conflicts) {
+      addLine(`Conflict: ${conflict.label} is ${conflict.reason} — kept on the ${conflict.kept}`, 'conflict');
+    }
+    if (importPreview.children.length === 0) {
+      addLine('Nothing to change — everything in the file is already set up.');
+      return;
+    }
+    importApplyBtn.hidden = false;
+  }
+});
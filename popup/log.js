@@ -0,0 +1,180 @@
+/**
+ * Activity log view: recently hidden videos and comments with the rule that hid them.
+ *
+ * Entries come from RuFilterStorage.appendLog (content scripts). Marking an
+ * entry as a false positive allows the video (per-video override) or whitelists
+ * its channel; the content scripts pick the change up via chrome.storage.onChanged.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  // --- DOM refs ---
+  const reasonFilter = document.getElementById('reason-filter');
+  const logCount = document.getElementById('log-count');
+  const clearLogBtn = document.getElementById('clear-log');
+  const logList = document.getElementById('log-list');
+  const storageWarning = document.getElementById('storage-warning');
+
+  const REASON_NAMES = {
+    'filtered-language': 'Filtered language',
+    'video-hidden': 'Hidden by you',
+    blocklist: 'Blocked channel',
+    'block-rule': 'Keyword rule',
+    'shared-blocklist': 'Shared blocklist',
+  };
+
+  const SURFACE_NAMES = {
+    home: 'Home',
+    search: 'Search',
+    shorts: 'Shorts',
+    watch: 'Watch page',
+    subscriptions: 'Subscriptions',
+    channel: 'Channel',
+    history: 'History',
+    comments: 'Comments',
+  };
+
+  // --- Load initial data ---
+  let log = await RuFilterStorage.getLog();
+  render();
+
+  // --- Event handlers ---
+
+  reasonFilter.addEventListener('change', render);
+
+  clearLogBtn.addEventListener('click', async () => {
+    await RuFilterStorage.clearLog();
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.activityLog) {
+      log = changes.activityLog.newValue || [];
+      render();
+    }
+  });
+
+  // --- Functions ---
+
+  function reasonName(reason) {
+    return REASON_NAMES[reason] || reason;
+  }
+
+  /**
+   * e.g. "Russian title (ngram) — score 0.97/0.6"
+   */
+  function describe(entry) {
+    if (!entry.language) return entry.detail ? `${reasonName(entry.reason)}: ${entry.detail}` : reasonName(entry.reason);
+    const tier = entry.detail ? `${entry.tier}: ${entry.detail}` : entry.tier;
+    let text = `${RuFilterLanguages.nameOf(entry.language)} ${entry.signal || 'title'} (${tier})`;
+    if (typeof entry.score === 'number') text += ` — score ${entry.score.toFixed(2)}/${entry.threshold}`;
+    return text;
+  }
+
+  function renderReasonFilter() {
+    const selected = reasonFilter.value;
+    const reasons = [...new Set(log.map((entry) => entry.reason))].sort();
+    reasonFilter.innerHTML = '';
+    for (const [value, text] of [['', 'All'], ...reasons.map((r) => [r, reasonName(r)])]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      reasonFilter.appendChild(option);
+    }
+    reasonFilter.value = reasons.includes(selected) ? selected : '';
+  }
+
+  function render() {
+    renderReasonFilter();
+    const entries = reasonFilter.value ? log.filter((e) => e.reason === reasonFilter.value) : log;
+    logCount.textContent = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+    logList.innerHTML = '';
+    if (entries.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty-state';
+      li.textContent = 'Nothing hidden yet';
+      logList.appendChild(li);
+      return;
+    }
+    for (const entry of entries) {
+      logList.appendChild(renderEntry(entry));
+    }
+  }
+
+  function renderEntry(entry) {
+    const li = document.createElement('li');
+    if (entry.falsePositive) li.className = 'false-positive';
+
+    const meta = document.createElement('div');
+    meta.className = 'log-meta';
+    meta.textContent = [
+      new Date(entry.at).toLocaleString(),
+      SURFACE_NAMES[entry.surface] || entry.surface,
+    ].filter(Boolean).join(' · ');
+    li.appendChild(meta);
+
+    const title = document.createElement(entry.videoId ? 'a' : 'span');
+    title.className = 'log-title';
+    title.textContent = entry.title || '(untitled)';
+    if (entry.videoId) {
+      title.href = `https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}`;
+      title.target = '_blank';
+      title.rel = 'noopener';
+    }
+    li.appendChild(title);
+
+    const channel = document.createElement('div');
+    channel.className = 'channel-id';
+    channel.textContent = [entry.channelName, entry.channelId !== entry.channelName && entry.channelId]
+      .filter(Boolean).join(' · ');
+    li.appendChild(channel);
+
+    const reason = document.createElement('div');
+    reason.className = 'log-reason';
+    reason.textContent = describe(entry);
+    li.appendChild(reason);
+
+    const actions = document.createElement('div');
+    actions.className = 'log-actions';
+    if (entry.falsePositive) {
+      actions.textContent = entry.falsePositive === 'channel'
+        ? 'False positive — channel whitelisted'
+        : 'False positive — video allowed';
+    } else {
+      if (entry.videoId) {
+        actions.appendChild(actionButton('Not Russian: allow video', () => markFalsePositive(entry, 'video')));
+      }
+      if (entry.channelId || entry.channelName) {
+        actions.appendChild(actionButton('Allow channel', () => markFalsePositive(entry, 'channel')));
+      }
+    }
+    li.appendChild(actions);
+    return li;
+  }
+
+  function actionButton(caption, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-small';
+    btn.textContent = caption;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * Undo a wrong decision: allow the video or whitelist its channel, and remember
+   * on the entry what was done.
+   */
+  async function markFalsePositive(entry, scope) {
+    try {
+      if (scope === 'video') {
+        await RuFilterStorage.setVideoOverride(entry.videoId, 'allow', entry.title);
+      } else {
+        await RuFilterStorage.addToWhitelist({ id: entry.channelId, name: entry.channelName });
+      }
+      await RuFilterStorage.updateLogEntry(entry.id, { falsePositive: scope });
+    } catch (err) {
+      console.error('[RuFilter] Error marking false positive:', err);
+      storageWarning.hidden = false;
+      storageWarning.textContent = `Couldn't save your change: ${err.message}`;
+    }
+  }
+});
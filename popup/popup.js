@@ -1,43 +1,226 @@
 /**
  * Popup UI logic for YouTube RU Filter.
  *
- * Reads settings/whitelist/blocklist from chrome.storage on open,
- * writes changes immediately, and the content script picks them up
- * via chrome.storage.onChanged.
+ * Reads settings/whitelist/blocklist/rules/per-video overrides/subscriptions from
+ * chrome.storage on open, saves changes immediately through RuFilterStorage (which
+ * hands them to the service worker), and the content script picks them up via
+ * chrome.storage.onChanged.
  */
 document.addEventListener('DOMContentLoaded', async () => {
   // --- DOM refs ---
   const enabledToggle = document.getElementById('enabled-toggle');
   const statsCount = document.getElementById('stats-count');
   const resetStatsBtn = document.getElementById('reset-stats');
+  const openLogBtn = document.getElementById('open-log');
+  const openStatsBtn = document.getElementById('open-stats');
+  const openBackupBtn = document.getElementById('open-backup');
   const whitelistInput = document.getElementById('whitelist-input');
   const whitelistAddBtn = document.getElementById('whitelist-add');
   const whitelistList = document.getElementById('whitelist-list');
   const blocklistInput = document.getElementById('blocklist-input');
   const blocklistAddBtn = document.getElementById('blocklist-add');
   const blocklistList = document.getElementById('blocklist-list');
+  const storageWarning = document.getElementById('storage-warning');
+  const quotaFill = document.getElementById('quota-fill');
+  const quotaText = document.getElementById('quota-text');
+  const ruleAction = document.getElementById('rule-action');
+  const ruleField = document.getElementById('rule-field');
+  const ruleMatch = document.getElementById('rule-match');
+  const rulePattern = document.getElementById('rule-pattern');
+  const ruleAddBtn = document.getElementById('rule-add');
+  const ruleError = document.getElementById('rule-error');
+  const ruleList = document.getElementById('rule-list');
+  const overrideList = document.getElementById('override-list');
+  const subscriptionInput = document.getElementById('subscription-input');
+  const subscriptionType = document.getElementById('subscription-type');
+  const subscriptionAddBtn = document.getElementById('subscription-add');
+  const subscriptionError = document.getElementById('subscription-error');
+  const subscriptionList = document.getElementById('subscription-list');
+  const subscriptionRefreshBtn = document.getElementById('subscription-refresh');
+  const languageList = document.getElementById('language-list');
+  const translitToggle = document.getElementById('translit-toggle');
+  const interstitialToggle = document.getElementById('interstitial-toggle');
+  const playbackToggle = document.getElementById('playback-toggle');
+  const commentsToggle = document.getElementById('comments-toggle');
+  const prerenderToggle = document.getElementById('prerender-toggle');
+  const sensitivitySelect = document.getElementById('sensitivity-select');
+  const sensitivitySaveBtn = document.getElementById('sensitivity-save');
+  const advancedList = document.getElementById('advanced-list');
+  const previewTitle = document.getElementById('preview-title');
+  const previewChannel = document.getElementById('preview-channel');
+  const previewResult = document.getElementById('preview-result');
+  const hideModeList = document.getElementById('hide-mode-list');
+  const policyList = document.getElementById('policy-list');
+  const queryBypassToggle = document.getElementById('query-bypass-toggle');
+
+  const SURFACE_NAMES = {
+    home: 'Home feed',
+    search: 'Search',
+    shorts: 'Shorts',
+    watch: 'Watch page sidebar',
+    subscriptions: 'Subscriptions',
+    channel: 'Channel pages',
+    history: 'History',
+    comments: 'Comments',
+  };
+
+  // Raw values in the advanced sensitivity panel. detection: true ones live in
+  // settings.detectionThresholds (see RuFilterDetector.DEFAULT_THRESHOLDS).
+  const ADVANCED_FIELDS = [
+    {
+      key: 'blockThreshold', label: 'Block threshold', min: 0.3, max: 1.5, step: 0.05,
+      title: 'Weighted score over title, channel, description, hashtags, badges and view-count line at which a video is hidden',
+    },
+    {
+      key: 'commentThreshold', label: 'Comments', min: 0.5, max: 1, step: 0.05,
+      title: 'Detection confidence a comment needs before it is hidden',
+    },
+    {
+      key: 'ngramFilteredMin', detection: true, label: 'Filtered language', min: 0.5, max: 1, step: 0.05,
+      title: 'Offline classifier probability a filtered language needs to count',
+    },
+    {
+      key: 'ngramProtectedMin', detection: true, label: 'Protected language', min: 0.05, max: 0.6, step: 0.05,
+      title: 'Offline classifier probability at which a protected language wins',
+    },
+    {
+      key: 'ngramOtherMin', detection: true, label: 'Other languages', min: 0.2, max: 0.9, step: 0.05,
+      title: 'Offline classifier probability any other language needs to count',
+    },
+    {
+      key: 'cldMinConfidence', detection: true, label: 'Chrome detector', min: 0.5, max: 1, step: 0.05,
+      title: "Confidence Chrome's language detector needs when the offline classifier is unsure",
+    },
+    {
+      key: 'cldRequireReliable', detection: true, checkbox: true,
+      label: "Only trust Chrome's detector when it reports a reliable result",
+    },
+    {
+      key: 'queryMinConfidence', detection: true, label: 'Russian query', min: 0.3, max: 1, step: 0.05,
+      title: 'Confidence needed to treat an ambiguous search query as Russian',
+    },
+  ];
+
+  const POLICY_NAMES = {
+    filter: 'Filter',
+    blocklist: 'Blocklist only',
+    off: 'Off',
+  };
 
   // --- Load initial data ---
-  const { settings = { enabled: true } } = await chrome.storage.sync.get({ settings: { enabled: true } });
-  const { whitelist = {} } = await chrome.storage.sync.get({ whitelist: {} });
-  const { blocklist = {} } = await chrome.storage.sync.get({ blocklist: {} });
-  const { stats = { totalFiltered: 0 } } = await chrome.storage.local.get({ stats: { totalFiltered: 0 } });
+  const settings = await RuFilterStorage.getSettings();
+  let currentSettings = settings;
+  // Sensitivity values being edited; saved with the Save button
+  let draft = sensitivityOf(settings);
+  let draftDirty = false;
+  let previewTimer = null;
+  let previewToken = 0;
+  const whitelist = await RuFilterStorage.getWhitelist();
+  const blocklist = await RuFilterStorage.getBlocklist();
+  const stats = await RuFilterStorage.getStats();
+  const rules = await RuFilterStorage.getRules();
+  const videoOverrides = await RuFilterStorage.getVideoOverrides();
+  let subscriptions = await RuFilterStorage.getSubscriptions();
+  let subscriptionData = await RuFilterStorage.getSubscriptionData();
 
   enabledToggle.checked = settings.enabled;
-  updateStats(stats.totalFiltered);
+  translitToggle.checked = settings.detectTransliteration;
+  interstitialToggle.checked = settings.watchInterstitial;
+  playbackToggle.checked = settings.skipInPlayback;
+  commentsToggle.checked = settings.filterComments;
+  prerenderToggle.checked = settings.filterBeforeRender;
+  queryBypassToggle.checked = settings.russianQueryBypass;
+  buildAdvancedFields();
+  renderSensitivity();
+  updateStats(stats);
   renderList(whitelistList, whitelist, 'whitelist');
   renderList(blocklistList, blocklist, 'blocklist');
+  renderRules(rules);
+  renderOverrides(videoOverrides);
+  renderSubscriptions();
+  renderLanguages(settings);
+  renderPolicies(settings);
+  renderHideModes(settings);
+  await renderQuota();
+  await showBackgroundSaveError();
 
   // --- Event handlers ---
 
+  // Every change is saved from an async handler; a failed save must not go unnoticed
+  window.addEventListener('unhandledrejection', (e) => {
+    console.error('[RuFilter] Save failed:', e.reason);
+    showStorageError(e.reason);
+  });
+
   enabledToggle.addEventListener('change', async () => {
-    const { settings: current } = await chrome.storage.sync.get({ settings: {} });
-    await chrome.storage.sync.set({ settings: { ...current, enabled: enabledToggle.checked } });
+    await RuFilterStorage.updateSettings({ enabled: enabledToggle.checked });
+  });
+
+  translitToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ detectTransliteration: translitToggle.checked });
+  });
+
+  interstitialToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ watchInterstitial: interstitialToggle.checked });
+  });
+
+  playbackToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ skipInPlayback: playbackToggle.checked });
+  });
+
+  commentsToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ filterComments: commentsToggle.checked });
+  });
+
+  prerenderToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ filterBeforeRender: prerenderToggle.checked });
+  });
+
+  queryBypassToggle.addEventListener('change', async () => {
+    await RuFilterStorage.updateSettings({ russianQueryBypass: queryBypassToggle.checked });
+  });
+
+  sensitivitySelect.addEventListener('change', () => {
+    const preset = RuFilterDetector.SENSITIVITY_PRESETS[sensitivitySelect.value];
+    if (preset) {
+      draft = {
+        sensitivity: sensitivitySelect.value,
+        blockThreshold: preset.blockThreshold,
+        commentThreshold: preset.commentThreshold,
+        detectionThresholds: { ...preset.detectionThresholds },
+      };
+    } else {
+      draft.sensitivity = 'custom';
+    }
+    draftDirty = true;
+    renderSensitivity();
+    schedulePreview();
+  });
+
+  sensitivitySaveBtn.addEventListener('click', async () => {
+    await RuFilterStorage.updateSettings(draft);
+    draftDirty = false;
+    renderSensitivity();
+  });
+
+  previewTitle.addEventListener('input', schedulePreview);
+  previewChannel.addEventListener('input', schedulePreview);
+
+  openLogBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup/log.html') });
+  });
+
+  openStatsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup/stats.html') });
+  });
+
+  openBackupBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup/backup.html') });
   });
 
   resetStatsBtn.addEventListener('click', async () => {
-    await chrome.storage.local.set({ stats: { totalFiltered: 0 } });
-    updateStats(0);
+    await RuFilterStorage.resetStats();
+    updateStats(RuFilterStorage.DEFAULT_STATS);
   });
 
   whitelistAddBtn.addEventListener('click', () => addChannel('whitelist'));
@@ -45,6 +228,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (e.key === 'Enter') addChannel('whitelist');
   });
 
+  ruleAddBtn.addEventListener('click', addRule);
+  rulePattern.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addRule();
+  });
+
+  subscriptionAddBtn.addEventListener('click', addSubscription);
+  subscriptionInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addSubscription();
+  });
+
+  subscriptionRefreshBtn.addEventListener('click', async () => {
+    subscriptionRefreshBtn.disabled = true;
+    try {
+      await chrome.runtime.sendMessage({ type: 'REFRESH_SUBSCRIPTIONS' });
+    } finally {
+      subscriptionRefreshBtn.disabled = false;
+    }
+  });
+
   blocklistAddBtn.addEventListener('click', () => addChannel('blocklist'));
   blocklistInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') addChannel('blocklist');
@@ -52,34 +254,111 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Listen for external storage changes (e.g., from context menu actions)
   chrome.storage.onChanged.addListener(async (changes, area) => {
+    // Sharded lists are re-read from wherever they are stored
+    for (const name of RuFilterStorage.changedMaps(changes)) {
+      const map = await RuFilterStorage.getMap(name);
+      if (name === 'whitelist') renderList(whitelistList, map, 'whitelist');
+      if (name === 'blocklist') renderList(blocklistList, map, 'blocklist');
+      if (name === 'rules') renderRules(map);
+      if (name === 'videoOverrides') renderOverrides(map);
+    }
+    if (area === 'sync' || changes.localMaps) {
+      renderQuota();
+    }
     if (area === 'sync') {
-      if (changes.whitelist) {
-        renderList(whitelistList, changes.whitelist.newValue || {}, 'whitelist');
-      }
-      if (changes.blocklist) {
-        renderList(blocklistList, changes.blocklist.newValue || {}, 'blocklist');
+      if (changes.subscriptions) {
+        subscriptions = changes.subscriptions.newValue || {};
+        renderSubscriptions();
       }
       if (changes.settings) {
-        const s = changes.settings.newValue || { enabled: true };
+        const s = RuFilterStorage.withDefaults(changes.settings.newValue);
         enabledToggle.checked = s.enabled;
+        translitToggle.checked = s.detectTransliteration;
+        interstitialToggle.checked = s.watchInterstitial;
+        playbackToggle.checked = s.skipInPlayback;
+        commentsToggle.checked = s.filterComments;
+        prerenderToggle.checked = s.filterBeforeRender;
+        queryBypassToggle.checked = s.russianQueryBypass;
+        currentSettings = s;
+        // Don't throw away unsaved edits
+        if (!draftDirty) {
+          draft = sensitivityOf(s);
+          renderSensitivity();
+        }
+        schedulePreview();
+        renderLanguages(s);
+        renderPolicies(s);
+        renderHideModes(s);
       }
     }
     if (area === 'local' && changes.stats) {
-      updateStats((changes.stats.newValue || { totalFiltered: 0 }).totalFiltered);
+      updateStats({ ...RuFilterStorage.DEFAULT_STATS, ...changes.stats.newValue });
+    }
+    if (area === 'local' && changes.subscriptionData) {
+      subscriptionData = changes.subscriptionData.newValue || {};
+      renderSubscriptions();
     }
   });
 
   // --- Functions ---
 
-  function updateStats(count) {
-    statsCount.textContent = `${count} video${count === 1 ? '' : 's'} filtered`;
+  function formatKb(bytes) {
+    return `${(bytes / 1024).toFixed(bytes < 10240 ? 1 : 0)} KB`;
+  }
+
+  /**
+   * Sync quota meter, and the warning when sync is (nearly) full.
+   */
+  async function renderQuota() {
+    const usage = await RuFilterStorage.getQuotaUsage();
+    quotaFill.style.width = `${Math.min(100, usage.ratio * 100).toFixed(1)}%`;
+    quotaFill.classList.toggle('nearly-full', usage.nearlyFull || usage.localMaps.length > 0);
+    quotaText.textContent = `${formatKb(usage.bytesInUse)} of ${formatKb(usage.quota)} used`;
+
+    let warning = '';
+    if (usage.localMaps.length > 0) {
+      const labels = usage.localMaps.map((name) => RuFilterStorage.MAP_LABELS[name] || name);
+      warning = `Chrome sync storage is full, so your ${labels.join(', ')} ${labels.length > 1 ? 'are' : 'is'} ` +
+        'saved on this device only and won\'t sync to your other browsers. ' +
+        'Remove entries you no longer need and the next change will sync again.';
+    } else if (usage.nearlyFull) {
+      warning = `Chrome sync storage is ${Math.round(usage.ratio * 100)}% full. When it runs out, ` +
+        'new list entries are kept on this device only.';
+    }
+    storageWarning.hidden = !warning;
+    storageWarning.textContent = warning;
+  }
+
+  function showStorageError(err) {
+    storageWarning.hidden = false;
+    storageWarning.textContent = `Couldn't save your change: ${err?.message || err}`;
+  }
+
+  /**
+   * A context-menu save the service worker couldn't make is flagged on the
+   * toolbar icon (badge "!", message in the title); show it here and clear it.
+   */
+  async function showBackgroundSaveError() {
+    if (await chrome.action.getBadgeText({}) !== '!') return;
+    storageWarning.hidden = false;
+    storageWarning.textContent = await chrome.action.getTitle({});
+    const manifest = chrome.runtime.getManifest();
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: manifest.action.default_title || manifest.name });
+  }
+
+  function updateStats({ totalFiltered, commentsFiltered }) {
+    let text = `${totalFiltered} video${totalFiltered === 1 ? '' : 's'}`;
+    if (commentsFiltered > 0) text += `, ${commentsFiltered} comment${commentsFiltered === 1 ? '' : 's'}`;
+    statsCount.textContent = `${text} filtered`;
   }
 
   function renderList(listEl, items, listType) {
     listEl.innerHTML = '';
-    const names = Object.keys(items).sort((a, b) => a.localeCompare(b));
+    const keys = Object.keys(items).sort((a, b) =>
+      RuFilterChannel.labelOf(a, items[a]).localeCompare(RuFilterChannel.labelOf(b, items[b])));
 
-    if (names.length === 0) {
+    if (keys.length === 0) {
       const li = document.createElement('li');
       li.className = 'empty-state';
       li.textContent = listType === 'whitelist' ? 'No whitelisted channels' : 'No blocked channels';
@@ -87,18 +366,26 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    for (const name of names) {
+    for (const key of keys) {
       const li = document.createElement('li');
 
       const span = document.createElement('span');
       span.className = 'channel-name';
-      span.textContent = name;
+      span.textContent = RuFilterChannel.labelOf(key, items[key]);
+      span.title = key;
+
+      if (RuFilterChannel.isId(key) && span.textContent !== key) {
+        const id = document.createElement('span');
+        id.className = 'channel-id';
+        id.textContent = key;
+        span.appendChild(id);
+      }
 
       const btn = document.createElement('button');
       btn.className = 'btn-remove';
       btn.textContent = '\u00d7'; // ×
       btn.title = 'Remove';
-      btn.addEventListener('click', () => removeChannel(listType, name));
+      btn.addEventListener('click', () => removeChannel(listType, key));
 
       li.appendChild(span);
       li.appendChild(btn);
@@ -106,38 +393,397 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  function sensitivityOf(s) {
+    return {
+      sensitivity: s.sensitivity,
+      blockThreshold: s.blockThreshold,
+      commentThreshold: s.commentThreshold,
+      detectionThresholds: RuFilterDetector.thresholdsOf(s),
+    };
+  }
+
+  function draftValue(field) {
+    return field.detection ? draft.detectionThresholds[field.key] : draft[field.key];
+  }
+
+  /**
+   * Create the advanced panel's inputs once; renderSensitivity fills in the values.
+   */
+  function buildAdvancedFields() {
+    for (const field of ADVANCED_FIELDS) {
+      const row = document.createElement('label');
+      row.className = field.checkbox ? 'checkbox-row' : 'range-row';
+      if (field.title) row.title = field.title;
+
+      const input = document.createElement('input');
+      input.type = field.checkbox ? 'checkbox' : 'range';
+      input.dataset.key = field.key;
+      if (!field.checkbox) {
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+      }
+      input.addEventListener('input', () => {
+        const value = field.checkbox ? input.checked : Number(input.value);
+        if (field.detection) draft.detectionThresholds[field.key] = value;
+        else draft[field.key] = value;
+        draft.sensitivity = 'custom';
+        draftDirty = true;
+        renderSensitivity();
+        schedulePreview();
+      });
+
+      if (field.checkbox) {
+        row.append(input, field.label);
+      } else {
+        const value = document.createElement('span');
+        value.className = 'range-value';
+        row.append(field.label, input, value);
+      }
+      advancedList.appendChild(row);
+    }
+  }
+
+  function renderSensitivity() {
+    sensitivitySelect.value = draft.sensitivity;
+    sensitivitySaveBtn.disabled = !draftDirty;
+    for (const field of ADVANCED_FIELDS) {
+      const input = advancedList.querySelector(`input[data-key="${field.key}"]`);
+      const value = draftValue(field);
+      if (field.checkbox) {
+        input.checked = value;
+      } else {
+        input.value = value;
+        input.nextElementSibling.textContent = value.toFixed(2);
+      }
+    }
+  }
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(runPreview, 250);
+  }
+
+  function formatStep(step) {
+    if (step.language) {
+      const confidence = step.confidence !== undefined ? ' ' + step.confidence.toFixed(2) : '';
+      return `${step.tier}: ${step.language}${confidence}`;
+    }
+    if (step.top) return `${step.tier}: unsure (${step.top} ${step.confidence.toFixed(2)})`;
+    return `${step.tier}: –`;
+  }
+
+  /**
+   * Run the test title and channel through the detector with the settings being
+   * edited, and show the decision and each signal's tiers.
+   */
+  async function runPreview() {
+    const token = ++previewToken;
+    const title = previewTitle.value.trim();
+    const channelName = previewChannel.value.trim();
+    if (!title && !channelName) {
+      previewResult.innerHTML = '';
+      return;
+    }
+
+    const result = await RuFilterDetector.shouldFilter(
+      { title, channelName },
+      { whitelist: {}, blocklist: {} },
+      { ...currentSettings, ...draft },
+    );
+    if (token !== previewToken) return;
+
+    previewResult.innerHTML = '';
+    const summary = document.createElement('li');
+    const blocked = result.decision === 'BLOCK';
+    summary.className = 'preview-summary ' + (blocked ? 'filtered' : 'protected');
+    summary.textContent = `${blocked ? 'Hidden' : 'Shown'} — score ${result.score.toFixed(2)} ` +
+      `${blocked ? '≥' : '<'} ${result.threshold.toFixed(2)}`;
+    previewResult.appendChild(summary);
+
+    for (const signal of result.signals) {
+      const li = document.createElement('li');
+      const sign = signal.contribution > 0 ? '+' : '';
+      li.textContent = `${signal.signal}: ${signal.trace.map(formatStep).join(' → ')} ` +
+        `= ${sign}${signal.contribution.toFixed(2)}`;
+      if (signal.detail) li.title = signal.detail;
+      previewResult.appendChild(li);
+    }
+  }
+
+  function renderPolicies(s) {
+    policyList.innerHTML = '';
+    for (const surface of Object.keys(s.surfacePolicies)) {
+      const li = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'language-name';
+      label.textContent = SURFACE_NAMES[surface] || surface;
+
+      const select = document.createElement('select');
+      select.className = 'language-mode';
+      for (const [value, text] of Object.entries(POLICY_NAMES)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = s.surfacePolicies[surface];
+      select.addEventListener('change', () => RuFilterStorage.setSurfacePolicy(surface, select.value));
+
+      li.appendChild(label);
+      li.appendChild(select);
+      policyList.appendChild(li);
+    }
+  }
+
+  function renderHideModes(s) {
+    hideModeList.innerHTML = '';
+    for (const [surface, name] of Object.entries(SURFACE_NAMES)) {
+      const li = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'language-name';
+      label.textContent = name;
+
+      const select = document.createElement('select');
+      select.className = 'language-mode';
+      for (const [value, text] of [['remove', 'Remove'], ['blur', 'Blur'], ['placeholder', 'Placeholder']]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = s.hideModes[surface] || 'remove';
+      select.addEventListener('change', () => RuFilterStorage.setHideMode(surface, select.value));
+
+      li.appendChild(label);
+      li.appendChild(select);
+      hideModeList.appendChild(li);
+    }
+  }
+
+  function languageMode(lang, s) {
+    if (s.protectedLanguages.includes(lang)) return 'protected';
+    if (s.filteredLanguages.includes(lang)) return 'filtered';
+    return 'neutral';
+  }
+
+  function renderLanguages(s) {
+    languageList.innerHTML = '';
+    // Show any configured code the popup has no name for as well
+    const codes = [...new Set([
+      ...Object.keys(RuFilterLanguages.NAMES),
+      ...s.protectedLanguages,
+      ...s.filteredLanguages,
+    ])];
+
+    for (const lang of codes) {
+      const li = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.className = 'language-name';
+      label.textContent = RuFilterLanguages.nameOf(lang);
+
+      const select = document.createElement('select');
+      for (const [value, text] of [['neutral', 'Auto'], ['protected', 'Keep'], ['filtered', 'Hide']]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = languageMode(lang, s);
+      select.className = 'language-mode ' + select.value;
+      select.addEventListener('change', () => setLanguageMode(lang, select.value));
+
+      li.appendChild(label);
+      li.appendChild(select);
+      languageList.appendChild(li);
+    }
+  }
+
+  async function setLanguageMode(lang, mode) {
+    const updated = await RuFilterStorage.setLanguageMode(lang, mode);
+    renderLanguages(updated);
+  }
+
   async function addChannel(listType) {
     const input = listType === 'whitelist' ? whitelistInput : blocklistInput;
-    const name = input.value.trim();
-    if (!name) return;
+    const value = input.value.trim();
+    if (!value) return;
     input.value = '';
 
-    const key = listType;
-    const oppositeKey = listType === 'whitelist' ? 'blocklist' : 'whitelist';
+    // "@handle", channel URLs and UC… IDs become ID-keyed entries; anything else is
+    // stored as a display name and upgraded to an ID the next time the channel is seen.
+    const id = RuFilterChannel.parse(value);
+    // The storage change re-renders both lists
+    await RuFilterStorage.addToList(listType, id ? { id } : { name: value });
+  }
+
+  function renderRules(items) {
+    ruleList.innerHTML = '';
+    const ids = Object.keys(items);
+
+    if (ids.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty-state';
+      li.textContent = 'No keyword rules';
+      ruleList.appendChild(li);
+      return;
+    }
+
+    for (const id of ids) {
+      const rule = items[id];
+      const li = document.createElement('li');
+
+      const span = document.createElement('span');
+      span.className = 'channel-name';
+      span.textContent = `${rule.action === 'allow' ? 'Keep' : 'Hide'}: ${RuFilterRules.describe(rule)}`;
+
+      const btn = document.createElement('button');
+      btn.className = 'btn-remove';
+      btn.textContent = '\u00d7'; // ×
+      btn.title = 'Remove';
+      btn.addEventListener('click', () => RuFilterStorage.removeRule(id));
+
+      li.appendChild(span);
+      li.appendChild(btn);
+      ruleList.appendChild(li);
+    }
+  }
+
+  function renderOverrides(items) {
+    overrideList.innerHTML = '';
+    const ids = Object.keys(items).sort((a, b) =>
+      (items[a].title || a).localeCompare(items[b].title || b));
+
+    if (ids.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty-state';
+      li.textContent = 'No hidden or always-shown videos';
+      overrideList.appendChild(li);
+      return;
+    }
+
+    for (const id of ids) {
+      const override = items[id];
+      const li = document.createElement('li');
 
-    // Get current data
-    const { [key]: list = {} } = await chrome.storage.sync.get({ [key]: {} });
-    const { [oppositeKey]: oppositeList = {} } = await chrome.storage.sync.get({ [oppositeKey]: {} });
+      const span = document.createElement('span');
+      span.className = 'channel-name';
+      span.textContent = `${override.action === 'hide' ? 'Hide' : 'Show'}: ${override.title || id}`;
+      span.title = id;
 
-    // Add to target list, remove from opposite
-    list[name] = true;
-    delete oppositeList[name];
+      const btn = document.createElement('button');
+      btn.className = 'btn-remove';
+      btn.textContent = '\u00d7'; // ×
+      btn.title = 'Remove';
+      btn.addEventListener('click', () => RuFilterStorage.removeVideoOverride(id));
 
-    await chrome.storage.sync.set({ [key]: list, [oppositeKey]: oppositeList });
+      li.appendChild(span);
+      li.appendChild(btn);
+      overrideList.appendChild(li);
+    }
+  }
+
+  async function addRule() {
+    const rule = {
+      action: ruleAction.value,
+      field: ruleField.value,
+      match: ruleMatch.value,
+      pattern: rulePattern.value.trim(),
+    };
+    if (!rule.pattern) return;
+
+    const error = RuFilterRules.validate(rule);
+    ruleError.hidden = !error;
+    ruleError.textContent = error || '';
+    if (error) return;
+
+    rulePattern.value = '';
+    // The storage change re-renders the list
+    await RuFilterStorage.addRule(rule);
+  }
 
-    // Re-render both lists
-    const wl = listType === 'whitelist' ? list : oppositeList;
-    const bl = listType === 'blocklist' ? list : oppositeList;
-    renderList(whitelistList, wl, 'whitelist');
-    renderList(blocklistList, bl, 'blocklist');
+  /**
+   * e.g. "5 min ago", "3 h ago", "2 days ago"
+   */
+  function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
   }
 
-  async function removeChannel(listType, name) {
-    const { [listType]: list = {} } = await chrome.storage.sync.get({ [listType]: {} });
-    delete list[name];
-    await chrome.storage.sync.set({ [listType]: list });
+  function subscriptionStatus(data) {
+    if (!data) return 'Downloading…';
+    const parts = [];
+    if (data.updatedAt) parts.push(`${data.count} channel${data.count === 1 ? '' : 's'}, updated ${formatAge(data.updatedAt)}`);
+    if (data.error) parts.push(`Error: ${data.error} (${formatAge(data.checkedAt)})`);
+    return parts.join(' · ');
+  }
+
+  function renderSubscriptions() {
+    subscriptionList.innerHTML = '';
+    const urls = Object.keys(subscriptions);
+
+    if (urls.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty-state';
+      li.textContent = 'No shared lists';
+      subscriptionList.appendChild(li);
+      return;
+    }
+
+    for (const url of urls) {
+      const data = subscriptionData[url];
+      const li = document.createElement('li');
+
+      const span = document.createElement('span');
+      span.className = 'channel-name';
+      span.textContent = `${subscriptions[url].type === 'allow' ? 'Allow' : 'Block'}: ${data?.title || url}`;
+      span.title = url;
+
+      const status = document.createElement('span');
+      status.className = 'channel-id' + (data?.error ? ' form-error' : '');
+      status.textContent = subscriptionStatus(data);
+      span.appendChild(status);
+
+      const btn = document.createElement('button');
+      btn.className = 'btn-remove';
+      btn.textContent = '\u00d7'; // ×
+      btn.title = 'Unsubscribe';
+      btn.addEventListener('click', () => RuFilterStorage.removeSubscription(url));
+
+      li.appendChild(span);
+      li.appendChild(btn);
+      subscriptionList.appendChild(li);
+    }
+  }
+
+  async function addSubscription() {
+    const url = subscriptionInput.value.trim();
+    if (!url) return;
+
+    let error = null;
+    if (!RuFilterSubscriptions.isValidUrl(url)) {
+      error = 'Enter an http(s) URL';
+    } else if (!(await chrome.permissions.request({ origins: [new URL(url).origin + '/*'] }))) {
+      error = `The extension needs permission to read ${new URL(url).host}`;
+    }
+    subscriptionError.hidden = !error;
+    subscriptionError.textContent = error || '';
+    if (error) return;
+
+    subscriptionInput.value = '';
+    // The service worker downloads the list as soon as it is stored
+    await RuFilterStorage.addSubscription(url, subscriptionType.value);
+  }
 
-    const listEl = listType === 'whitelist' ? whitelistList : blocklistList;
-    renderList(listEl, list, listType);
+  async function removeChannel(listType, key) {
+    // The storage change re-renders the list
+    await RuFilterStorage.removeFromList(listType, key);
   }
 });
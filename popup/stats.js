@@ -0,0 +1,239 @@
+/**
+ * Statistics view: videos and comments checked and hidden per day over the last
+ * 30 days, broken down by surface (comments are one) and reason, and the channels
+ * hidden most often.
+ *
+ * Data comes from RuFilterStorage.recordStats (content scripts). Blocking a
+ * channel from here goes through RuFilterStorage like the popup's lists.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  // --- DOM refs ---
+  const statsSummary = document.getElementById('stats-summary');
+  const resetStatsBtn = document.getElementById('reset-stats');
+  const storageWarning = document.getElementById('storage-warning');
+  const chart = document.getElementById('stats-chart');
+  const chartStart = document.getElementById('chart-start');
+  const chartEnd = document.getElementById('chart-end');
+  const surfaceTable = document.getElementById('surface-table');
+  const reasonTable = document.getElementById('reason-table');
+  const channelList = document.getElementById('channel-list');
+
+  const TOP_CHANNELS = 15;
+
+  const SURFACE_NAMES = {
+    home: 'Home',
+    search: 'Search',
+    shorts: 'Shorts',
+    watch: 'Watch page',
+    subscriptions: 'Subscriptions',
+    channel: 'Channel',
+    history: 'History',
+    comments: 'Comments',
+  };
+
+  const REASON_NAMES = {
+    heuristic: 'Language (offline detection)',
+    cld: "Language (Chrome's detector)",
+    blocklist: 'Blocked channel',
+    rule: 'Keyword rule',
+    shared: 'Shared blocklist',
+    manual: 'Hidden by you',
+  };
+
+  // --- Load initial data ---
+  let history = await RuFilterStorage.getStatsHistory();
+  let blocklist = await RuFilterStorage.getBlocklist();
+  render();
+
+  // --- Event handlers ---
+
+  resetStatsBtn.addEventListener('click', async () => {
+    try {
+      await RuFilterStorage.resetStats();
+    } catch (err) {
+      showStorageError(err);
+    }
+  });
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area === 'local' && changes.statsHistory) {
+      history = changes.statsHistory.newValue || {};
+      render();
+    }
+    if (RuFilterStorage.changedMaps(changes).includes('blocklist')) {
+      blocklist = await RuFilterStorage.getBlocklist();
+      renderChannels();
+    }
+  });
+
+  // --- Functions ---
+
+  function showStorageError(err) {
+    console.error('[RuFilter] Save failed:', err);
+    storageWarning.hidden = false;
+    storageWarning.textContent = `Couldn't save your change: ${err.message}`;
+  }
+
+  function percent(part, total) {
+    return total > 0 ? `${Math.round((part / total) * 100)}%` : '—';
+  }
+
+  /**
+   * The last STATS_DAYS days, oldest first, with empty days filled in.
+   * @returns {{ key: string, date: Date, day: Object|null }[]}
+   */
+  function lastDays() {
+    const days = [];
+    for (let i = RuFilterStorage.STATS_DAYS - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const key = RuFilterStorage.dayKeyOf(date.getTime());
+      days.push({ key, date, day: history[key] || null });
+    }
+    return days;
+  }
+
+  function render() {
+    const days = Object.values(history);
+    const scanned = days.reduce((sum, day) => sum + day.scanned, 0);
+    const hidden = days.reduce((sum, day) => sum + day.hidden, 0);
+    statsSummary.textContent = `${scanned} checked, ${hidden} hidden (${percent(hidden, scanned)})`;
+
+    renderChart();
+    renderSurfaces();
+    renderReasons();
+    renderChannels();
+  }
+
+  function renderChart() {
+    const days = lastDays();
+    const max = Math.max(1, ...days.map(({ day }) => Math.max(day?.scanned || 0, day?.hidden || 0)));
+    chart.innerHTML = '';
+    for (const { date, day } of days) {
+      const column = document.createElement('div');
+      column.className = 'stats-chart-day';
+      const scanned = day?.scanned || 0;
+      const hidden = day?.hidden || 0;
+      column.title = `${date.toLocaleDateString()}: ${scanned} checked, ${hidden} hidden`;
+
+      for (const [className, value] of [['scanned', scanned], ['hidden', hidden]]) {
+        const bar = document.createElement('div');
+        bar.className = `stats-chart-bar ${className}`;
+        bar.style.height = `${(value / max) * 100}%`;
+        column.appendChild(bar);
+      }
+      chart.appendChild(column);
+    }
+    chartStart.textContent = days[0].date.toLocaleDateString();
+    chartEnd.textContent = 'Today';
+  }
+
+  /**
+   * Fill a table with a header row and body rows of cell texts.
+   */
+  function renderTable(table, header, rows, emptyText) {
+    table.innerHTML = '';
+    if (rows.length === 0) {
+      const caption = table.createCaption();
+      caption.className = 'empty-state';
+      caption.textContent = emptyText;
+      return;
+    }
+    for (const [i, cells] of [header, ...rows].entries()) {
+      const tr = table.insertRow();
+      for (const text of cells) {
+        const cell = document.createElement(i === 0 ? 'th' : 'td');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      }
+    }
+  }
+
+  /**
+   * Surfaces by share of videos hidden, highest first.
+   */
+  function renderSurfaces() {
+    const totals = {};
+    for (const day of Object.values(history)) {
+      for (const [surface, counts] of Object.entries(day.surfaces)) {
+        totals[surface] ||= { scanned: 0, hidden: 0 };
+        totals[surface].scanned += counts.scanned;
+        totals[surface].hidden += counts.hidden;
+      }
+    }
+    const share = ({ scanned, hidden }) => (scanned > 0 ? hidden / scanned : 0);
+    const rows = Object.entries(totals)
+      .sort((a, b) => share(b[1]) - share(a[1]) || b[1].hidden - a[1].hidden)
+      .map(([surface, { scanned, hidden }]) =>
+        [SURFACE_NAMES[surface] || surface, scanned, hidden, percent(hidden, scanned)]);
+    renderTable(surfaceTable, ['Surface', 'Checked', 'Hidden', 'Share'], rows, 'Nothing checked yet');
+  }
+
+  function renderReasons() {
+    const totals = {};
+    for (const day of Object.values(history)) {
+      for (const [reason, count] of Object.entries(day.reasons)) {
+        totals[reason] = (totals[reason] || 0) + count;
+      }
+    }
+    const hidden = Object.values(totals).reduce((sum, count) => sum + count, 0);
+    const rows = RuFilterStorage.STATS_REASONS
+      .filter((reason) => totals[reason])
+      .map((reason) => [REASON_NAMES[reason], totals[reason], percent(totals[reason], hidden)]);
+    renderTable(reasonTable, ['Reason', 'Hidden', 'Share'], rows, 'Nothing hidden yet');
+  }
+
+  function renderChannels() {
+    const totals = {};
+    for (const day of Object.values(history)) {
+      for (const [key, { name, hidden }] of Object.entries(day.channels)) {
+        totals[key] ||= { name, hidden: 0 };
+        totals[key].hidden += hidden;
+        if (name) totals[key].name = name;
+      }
+    }
+    const top = Object.entries(totals)
+      .sort((a, b) => b[1].hidden - a[1].hidden)
+      .slice(0, TOP_CHANNELS);
+
+    channelList.innerHTML = '';
+    if (top.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty-state';
+      li.textContent = 'No hidden channels yet';
+      channelList.appendChild(li);
+      return;
+    }
+
+    for (const [key, { name, hidden }] of top) {
+      const channel = RuFilterChannel.isId(key) ? { id: key, name } : { name: key };
+      const li = document.createElement('li');
+
+      const span = document.createElement('span');
+      span.className = 'channel-name';
+      span.textContent = name || key;
+      span.title = key;
+      const count = document.createElement('span');
+      count.className = 'channel-id';
+      count.textContent = `${hidden} hidden`;
+      span.appendChild(count);
+      li.appendChild(span);
+
+      if (RuFilterChannel.findEntry(blocklist, channel)) {
+        const blocked = document.createElement('span');
+        blocked.className = 'channel-id';
+        blocked.textContent = 'Blocked';
+        li.appendChild(blocked);
+      } else {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn-small';
+        btn.textContent = 'Block';
+        // The storage change re-renders the list
+        btn.addEventListener('click', () => RuFilterStorage.addToBlocklist(channel).catch(showStorageError));
+        li.appendChild(btn);
+      }
+      channelList.appendChild(li);
+    }
+  }
+});